@@ -0,0 +1,274 @@
+/**
+ * In-memory stand-in for the parts of firebase-admin's Firestore API the job store uses
+ *
+ * Jest picks this up for every test that requires firebase-admin. Documents live in
+ * one shared map per process; call `admin.firestore().reset()` to clear it.
+ */
+
+const DOCUMENT_ID = '__name__';
+
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+}
+
+// Copy stored data like Firestore does, keeping Timestamps intact
+const clone = (value) => {
+  if (value instanceof Timestamp) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+  }
+  return value;
+};
+
+const compareValues = (a, b) => {
+  const left = a instanceof Timestamp ? a.toMillis() : a;
+  const right = b instanceof Timestamp ? b.toMillis() : b;
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.fields = data;
+  }
+
+  data() {
+    return clone(this.fields);
+  }
+
+  get(field) {
+    return field === DOCUMENT_ID ? this.id : this.fields && this.fields[field];
+  }
+}
+
+class Query {
+  constructor(db, path, steps = {}) {
+    this.db = db;
+    this.path = path;
+    this.steps = { filters: [], orders: [], limit: null, after: null, ...steps };
+  }
+
+  with(steps) {
+    return new Query(this.db, this.path, { ...this.steps, ...steps });
+  }
+
+  where(field, op, value) {
+    return this.with({ filters: [...this.steps.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    const path = field === FieldPath.documentId() ? DOCUMENT_ID : field;
+    return this.with({ orders: [...this.steps.orders, { field: path, direction }] });
+  }
+
+  limit(limit) {
+    return this.with({ limit });
+  }
+
+  startAfter(...values) {
+    const cursor = values[0] instanceof DocumentSnapshot
+      ? this.steps.orders.map(({ field }) => values[0].get(field))
+      : values;
+    return this.with({ after: cursor });
+  }
+
+  matches(snapshot) {
+    return this.steps.filters.every(({ field, op, value }) => {
+      const actual = snapshot.get(field);
+      if (actual === undefined) return false;
+      switch (op) {
+        case '==': return compareValues(actual, value) === 0;
+        case 'in': return value.includes(actual);
+        case '<': return compareValues(actual, value) < 0;
+        case '<=': return compareValues(actual, value) <= 0;
+        case '>': return compareValues(actual, value) > 0;
+        case '>=': return compareValues(actual, value) >= 0;
+        default: throw new Error(`Unsupported operator in fake Firestore: ${op}`);
+      }
+    });
+  }
+
+  compare(a, b) {
+    for (const { field, direction } of this.steps.orders) {
+      const order = compareValues(a.get(field), b.get(field));
+      if (order !== 0) return direction === 'desc' ? -order : order;
+    }
+    return 0;
+  }
+
+  isPastCursor(snapshot) {
+    const { after, orders } = this.steps;
+    if (!after) return true;
+
+    for (const [index, { field, direction }] of orders.entries()) {
+      const order = compareValues(snapshot.get(field), after[index]);
+      if (order !== 0) return (direction === 'desc' ? -order : order) > 0;
+    }
+    return false;
+  }
+
+  async get() {
+    const { orders, limit } = this.steps;
+    // Like Firestore, documents without an ordered field are left out
+    let docs = this.db.snapshots(this.path)
+      .filter((snapshot) => this.matches(snapshot))
+      .filter((snapshot) => orders.every(({ field }) => snapshot.get(field) !== undefined))
+      .sort((a, b) => this.compare(a, b) || compareValues(a.id, b.id))
+      .filter((snapshot) => this.isPastCursor(snapshot));
+    if (limit !== null) docs = docs.slice(0, limit);
+
+    return { docs, size: docs.length, empty: docs.length === 0 };
+  }
+}
+
+class CollectionReference extends Query {
+  doc(id) {
+    return new DocumentReference(this.db, this.path, id);
+  }
+}
+
+class DocumentReference {
+  constructor(db, collectionPath, id) {
+    this.db = db;
+    this.collectionPath = collectionPath;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+  }
+
+  async get() {
+    return this.db.snapshot(this);
+  }
+
+  async set(data, options) {
+    this.db.write(this, data, options);
+  }
+
+  async delete() {
+    this.db.write(this, undefined);
+  }
+
+  onSnapshot(onNext) {
+    let active = true;
+    const listener = () => active && onNext(this.db.snapshot(this));
+    this.db.listen(this.path, listener);
+    // Firestore delivers the current state first
+    setImmediate(listener);
+    return () => {
+      active = false;
+      this.db.unlisten(this.path, listener);
+    };
+  }
+}
+
+class Firestore {
+  constructor() {
+    this.documents = new Map();
+    this.listeners = new Map();
+    // Transactions run one at a time, which is as strict as Firestore's optimistic retries
+    this.transactions = Promise.resolve();
+  }
+
+  reset() {
+    this.documents.clear();
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  snapshot(ref) {
+    return new DocumentSnapshot(ref, clone(this.documents.get(ref.path)));
+  }
+
+  snapshots(collectionPath) {
+    return [...this.documents.keys()]
+      .filter((path) => path.startsWith(`${collectionPath}/`) && !path.slice(collectionPath.length + 1).includes('/'))
+      .map((path) => this.snapshot(new DocumentReference(this, collectionPath, path.slice(collectionPath.length + 1))));
+  }
+
+  write(ref, data, options = {}) {
+    if (data === undefined) {
+      this.documents.delete(ref.path);
+    } else if (options.mergeFields) {
+      const existing = this.documents.get(ref.path) || {};
+      const merged = { ...existing };
+      options.mergeFields.forEach((field) => {
+        merged[field] = clone(data[field]);
+      });
+      this.documents.set(ref.path, merged);
+    } else {
+      this.documents.set(ref.path, clone(data));
+    }
+
+    (this.listeners.get(ref.path) || []).forEach((listener) => setImmediate(listener));
+  }
+
+  listen(path, listener) {
+    if (!this.listeners.has(path)) this.listeners.set(path, new Set());
+    this.listeners.get(path).add(listener);
+  }
+
+  unlisten(path, listener) {
+    const listeners = this.listeners.get(path);
+    if (listeners) listeners.delete(listener);
+  }
+
+  runTransaction(fn) {
+    const run = this.transactions.then(() => {
+      const writes = [];
+      const transaction = {
+        get: async (ref) => this.snapshot(ref),
+        set: (ref, data, options) => {
+          writes.push(() => this.write(ref, data, options));
+        },
+      };
+      return fn(transaction).then((result) => {
+        writes.forEach((write) => write());
+        return result;
+      });
+    });
+    this.transactions = run.catch(() => {});
+    return run;
+  }
+
+  batch() {
+    const writes = [];
+    return {
+      delete: (ref) => writes.push(() => this.write(ref, undefined)),
+      commit: async () => writes.forEach((write) => write()),
+    };
+  }
+}
+
+const FieldPath = {
+  documentId: () => DOCUMENT_ID,
+};
+
+const db = new Firestore();
+
+const firestore = () => db;
+firestore.Timestamp = Timestamp;
+firestore.FieldPath = FieldPath;
+
+module.exports = {
+  firestore,
+  initializeApp: () => ({}),
+};
@@ -1,3 +1,29 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+// Parse "plan:hours,plan:hours" into { plan: hours }
+const parsePlanHours = (value) => Object.fromEntries(
+  value.split(',')
+    .map((entry) => entry.split(':').map((part) => part.trim()))
+    .filter(([plan, hours]) => plan && parseInt(hours, 10) > 0)
+    .map(([plan, hours]) => [plan, parseInt(hours, 10)])
+);
+
+// VEO_FORWARD_* flags that are set, as { param: boolean }; unset flags leave the model's own list
+const FORWARD_FLAGS = {
+  fps: 'VEO_FORWARD_FPS',
+  seed: 'VEO_FORWARD_SEED',
+  negativePrompt: 'VEO_FORWARD_NEGATIVE_PROMPT',
+  generateAudio: 'VEO_FORWARD_GENERATE_AUDIO',
+  resolution: 'VEO_FORWARD_RESOLUTION',
+};
+const parseForwardOverrides = () => Object.fromEntries(
+  Object.entries(FORWARD_FLAGS)
+    .filter(([, name]) => process.env[name])
+    .map(([param, name]) => [param, process.env[name] === 'true'])
+);
+
 const config = {
   // Server
   port: parseInt(process.env.PORT, 10) || 8080,
@@ -17,18 +43,115 @@ const config = {
   // Veo Model
   veo: {
     modelId: process.env.VEO_MODEL_ID || 'veo-3.0-generate-preview',
+    // vertex | mock. The mock never calls Vertex and returns a bundled MP4; put
+    // `[mock:<scenario>]` in a prompt to simulate failures (see providers/mockProvider)
+    provider: {
+      driver: process.env.VEO_PROVIDER || 'vertex',
+      mockDelayMs: (parseInt(process.env.MOCK_VEO_DELAY_SECONDS, 10) || 10) * 1000,
+      mockVideoPath: process.env.MOCK_VEO_VIDEO_PATH || null,
+    },
     supportedModes: {
       TEXT_TO_VIDEO: true,
       IMAGE_TO_VIDEO: process.env.VEO_ENABLE_IMAGE_TO_VIDEO === 'true',
       VIDEO_TO_VIDEO: false, // Not currently supported by Veo 3
     },
-    forwardParams: {
-      // Keep this allowlist minimal by default; enable more only after confirming model schema.
-      fps: process.env.VEO_FORWARD_FPS === 'true',
-      seed: process.env.VEO_FORWARD_SEED !== 'false',
-      negativePrompt: process.env.VEO_FORWARD_NEGATIVE_PROMPT !== 'false',
-      generateAudio: process.env.VEO_FORWARD_GENERATE_AUDIO === 'true',
-      resolution: process.env.VEO_FORWARD_RESOLUTION === 'true',
+    // Models clients may pick with `model`; the default model (VEO_MODEL_ID) is always enabled
+    enabledModels: (process.env.VEO_ENABLED_MODELS || '').split(',').map((id) => id.trim()).filter(Boolean),
+    // Capabilities per model. `forwardParams` lists the optional request fields sent to Vertex;
+    // only add one after confirming the model's schema accepts it.
+    // VEO_FORWARD_<PARAM>=true|false forces a field on or off for every model.
+    forwardOverrides: parseForwardOverrides(),
+    // Assumed for a VEO_MODEL_ID / VEO_ENABLED_MODELS entry missing from `models` (logged at
+    // startup): the limits every model had before per-model capabilities
+    fallbackModel: {
+      tier: 'standard',
+      durations: [4, 6, 8],
+      aspectRatios: ['16:9', '9:16', '1:1'],
+      fps: [24, 30],
+      audio: true,
+      resolutions: ['720p', '1080p'],
+      maxSampleCount: 1,
+      forwardParams: ['seed', 'negativePrompt'],
+    },
+    models: {
+      'veo-2.0-generate-001': {
+        label: 'Veo 2',
+        tier: 'standard',
+        durations: [5, 6, 7, 8],
+        aspectRatios: ['16:9', '9:16'],
+        fps: [24],
+        audio: false,
+        resolutions: ['720p'],
+        maxSampleCount: 4,
+        forwardParams: ['seed', 'negativePrompt'],
+      },
+      // The original default model keeps the limits clients relied on before per-model capabilities
+      'veo-3.0-generate-preview': {
+        label: 'Veo 3 (preview)',
+        tier: 'standard',
+        durations: [4, 6, 8],
+        aspectRatios: ['16:9', '9:16', '1:1'],
+        fps: [24, 30],
+        audio: true,
+        resolutions: ['720p', '1080p'],
+        maxSampleCount: 2,
+        forwardParams: ['seed', 'negativePrompt'],
+      },
+      'veo-3.0-fast-generate-preview': {
+        label: 'Veo 3 Fast (preview)',
+        tier: 'fast',
+        durations: [4, 6, 8],
+        aspectRatios: ['16:9', '9:16'],
+        fps: [24],
+        audio: true,
+        resolutions: ['720p', '1080p'],
+        maxSampleCount: 2,
+        forwardParams: ['seed', 'negativePrompt'],
+      },
+      'veo-3.0-generate-001': {
+        label: 'Veo 3',
+        tier: 'standard',
+        durations: [4, 6, 8],
+        aspectRatios: ['16:9', '9:16'],
+        fps: [24],
+        audio: true,
+        resolutions: ['720p', '1080p'],
+        maxSampleCount: 4,
+        forwardParams: ['seed', 'negativePrompt', 'generateAudio', 'resolution'],
+      },
+      'veo-3.0-fast-generate-001': {
+        label: 'Veo 3 Fast',
+        tier: 'fast',
+        durations: [4, 6, 8],
+        aspectRatios: ['16:9', '9:16'],
+        fps: [24],
+        audio: true,
+        resolutions: ['720p', '1080p'],
+        maxSampleCount: 4,
+        forwardParams: ['seed', 'negativePrompt', 'generateAudio', 'resolution'],
+      },
+      'veo-3.1-generate-preview': {
+        label: 'Veo 3.1 (preview)',
+        tier: 'standard',
+        durations: [4, 6, 8],
+        aspectRatios: ['16:9', '9:16'],
+        fps: [24],
+        audio: true,
+        resolutions: ['720p', '1080p'],
+        maxSampleCount: 4,
+        forwardParams: ['seed', 'negativePrompt', 'generateAudio', 'resolution'],
+      },
+      'veo-3.1-fast-generate-preview': {
+        label: 'Veo 3.1 Fast (preview)',
+        tier: 'fast',
+        durations: [4, 6, 8],
+        aspectRatios: ['16:9', '9:16'],
+        fps: [24],
+        audio: true,
+        resolutions: ['720p', '1080p'],
+        maxSampleCount: 4,
+        forwardParams: ['seed', 'negativePrompt', 'generateAudio', 'resolution'],
+      },
     },
     defaults: {
       durationSeconds: 5,
@@ -36,12 +159,31 @@ const config = {
       fps: 24,
       quality: 'standard',
     },
+    // Polling for predictLongRunning operations
+    operationPolling: {
+      initialDelayMs: parseInt(process.env.VEO_POLL_INITIAL_DELAY_MS, 10) || 5000,
+      maxDelayMs: parseInt(process.env.VEO_POLL_MAX_DELAY_MS, 10) || 30000,
+      multiplier: 1.5,
+      timeoutMs: (parseInt(process.env.VEO_OPERATION_TIMEOUT_MINUTES, 10) || 15) * 60 * 1000,
+    },
+    // Hard deadlines after which the reaper fails a job with TIMEOUT.
+    // Queued jobs get queueTimeoutMs on top of the run budget; the budget restarts when the job starts.
+    deadlines: {
+      queueTimeoutMs: (parseInt(process.env.JOB_QUEUE_TIMEOUT_MINUTES, 10) || 30) * 60 * 1000,
+      baseRunMs: {
+        TEXT_TO_VIDEO: 20 * 60 * 1000,
+        IMAGE_TO_VIDEO: 25 * 60 * 1000,
+        VIDEO_TO_VIDEO: 30 * 60 * 1000,
+      },
+      perVideoSecondMs: 60 * 1000,
+    },
+    // Automatic retries for transient Vertex errors (RESOURCE_EXHAUSTED, UNAVAILABLE, ...)
+    retry: {
+      maxAttempts: parseInt(process.env.VEO_MAX_ATTEMPTS, 10) || 3,
+      initialDelayMs: 10000,
+      maxDelayMs: 120000,
+    },
     limits: {
-      maxDurationSeconds: 8,
-      minDurationSeconds: 4,
-      allowedDurations: [4, 6, 8],
-      allowedAspectRatios: ['16:9', '9:16', '1:1'],
-      allowedFps: [24, 30],
       maxPromptLength: 2000,
     },
   },
@@ -50,6 +192,126 @@ const config = {
   gcs: {
     bucketName: process.env.GCS_BUCKET_NAME,
     signedUrlExpiration: 3600, // 1 hour - client downloads then uploads to their storage
+    maxSignedUrlExpiration: 7 * 24 * 3600, // V4 signed URLs cannot outlive 7 days
+    signedUrlRefreshThreshold: 300, // Status responses re-sign URLs expiring within 5 minutes
+  },
+
+  // Where generated videos are stored: gcs | local
+  // The local driver keeps files on disk and serves them from /v1/storage with HMAC-signed URLs (development only)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'gcs',
+    localPath: process.env.LOCAL_STORAGE_PATH || path.join(os.tmpdir(), 'veo-videos'),
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${parseInt(process.env.PORT, 10) || 8080}`,
+    // A random secret invalidates signed URLs on restart; set one to keep them working
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex'),
+  },
+
+  // Batch generation
+  batch: {
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS, 10) || 20,
+  },
+
+  // Generation work queue (per instance; operations resumed after a restart take slots too)
+  // Priority classes are listed highest first and matched against the user's `plan` custom claim
+  queue: {
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 4,
+    perUserConcurrency: parseInt(process.env.QUEUE_PER_USER_CONCURRENCY, 10) || 1,
+    priorityClasses: (process.env.QUEUE_PRIORITY_CLASSES || 'paid,free').split(',').map((name) => name.trim()).filter(Boolean),
+    defaultPriorityClass: 'free',
+    estimatedRunMs: 90000, // Initial guess for start-time estimates, refined as jobs finish
+  },
+
+  // Background tasks: stuck-job reaper and cleanup of expired jobs, quota entries and idempotency keys
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    reaperIntervalMs: (parseInt(process.env.REAPER_INTERVAL_SECONDS, 10) || 60) * 1000,
+    cleanupIntervalMs: (parseInt(process.env.CLEANUP_INTERVAL_MINUTES, 10) || 60) * 60 * 1000,
+  },
+
+  // Graceful shutdown (Cloud Run allows 10 seconds after SIGTERM)
+  shutdown: {
+    gracePeriodMs: (parseInt(process.env.SHUTDOWN_GRACE_PERIOD_SECONDS, 10) || 8) * 1000,
+  },
+
+  // How long generated videos are kept, by the Firebase `plan` claim
+  // Job records are kept at least this long so expired files can still be found and purged.
+  retention: {
+    defaultHours: parseInt(process.env.VIDEO_RETENTION_HOURS, 10) || 72,
+    hoursByPlan: parsePlanHours(process.env.VIDEO_RETENTION_HOURS_BY_PLAN || 'paid:720'),
+  },
+
+  // Job persistence: memory | file | firestore | redis
+  // Use firestore or redis on Cloud Run so jobs survive restarts and are shared between instances
+  jobStore: {
+    driver: process.env.JOB_STORE_DRIVER || 'memory',
+    ttlMs: (parseInt(process.env.JOB_TTL_HOURS, 10) || 24) * 60 * 60 * 1000,
+    filePath: process.env.JOB_STORE_FILE_PATH || path.join(os.tmpdir(), 'veo-jobs'),
+    firestoreCollection: process.env.JOB_STORE_FIRESTORE_COLLECTION || 'veoJobs',
+    redisUrl: process.env.REDIS_URL || null,
+    redisKeyPrefix: process.env.REDIS_KEY_PREFIX || 'veo:',
+  },
+
+  // Style presets (presetId on generation requests)
+  // User presets are kept with the job store driver, in their own collection/directory/key prefix
+  presets: {
+    maxPerUser: parseInt(process.env.PRESETS_MAX_PER_USER, 10) || 20,
+    filePath: process.env.PRESET_STORE_FILE_PATH || path.join(os.tmpdir(), 'veo-presets'),
+    firestoreCollection: process.env.PRESET_STORE_FIRESTORE_COLLECTION || 'veoPresets',
+    builtIn: {
+      'cinematic-trailer': {
+        name: 'Cinematic trailer',
+        description: 'Wide anamorphic shots with dramatic lighting and a teal-and-orange grade',
+        params: {
+          aspectRatio: '16:9',
+          cameraStyle: 'cinematic',
+          motionLevel: 'medium',
+          lighting: 'dramatic',
+          negativePrompt: 'cartoon, low quality, text overlays, watermark',
+          scene: { shotType: 'wide', lens: 'anamorphic', colorGrade: 'teal-and-orange' },
+        },
+      },
+      'product-spin': {
+        name: 'Product spin',
+        description: 'Slow orbit around a product with soft, even lighting',
+        params: {
+          aspectRatio: '16:9',
+          cameraStyle: 'cinematic',
+          motionLevel: 'low',
+          lighting: 'soft',
+          negativePrompt: 'people, hands, clutter, text, watermark',
+          scene: { shotType: 'medium', cameraMovement: 'orbit', colorGrade: 'natural' },
+        },
+      },
+      'vertical-social': {
+        name: 'Vertical social',
+        description: 'Energetic handheld 9:16 clips for Shorts, Reels and TikTok',
+        params: {
+          aspectRatio: '9:16',
+          cameraStyle: 'handheld',
+          motionLevel: 'high',
+          lighting: 'natural',
+          negativePrompt: 'letterboxing, black bars, watermark',
+          scene: { shotType: 'medium', colorGrade: 'warm' },
+        },
+      },
+    },
+  },
+
+  // Job completion webhooks (callbackUrl on generation requests)
+  // Callbacks are disabled unless at least one host is allowlisted
+  webhooks: {
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map((host) => host.trim()).filter(Boolean),
+    signingSecret: process.env.WEBHOOK_SIGNING_SECRET || null,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    initialDelayMs: 2000,
+    maxDelayMs: 60000,
+    timeoutMs: 10000,
+  },
+
+  // Server-Sent Events job status stream
+  events: {
+    heartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 15000,
+    retryMs: 5000, // Reconnect delay suggested to EventSource clients
   },
 
   // YouTube OAuth (for public video uploads) - OPTIONAL
@@ -67,19 +329,74 @@ const config = {
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
   },
 
+  // Idempotency-Key replay window for generation requests
+  // Keys are kept with the job store driver so every instance sees them
+  idempotency: {
+    ttlMs: (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000,
+    filePath: process.env.IDEMPOTENCY_STORE_FILE_PATH || path.join(os.tmpdir(), 'veo-idempotency'),
+    firestoreCollection: process.env.IDEMPOTENCY_STORE_FIRESTORE_COLLECTION || 'veoIdempotencyKeys',
+  },
+
+  // Pre-submission prompt moderation, runs before quota is reserved
+  // MODERATION_POLICY_PATH points at a JSON policy file (see README); the env lists extend it
+  moderation: {
+    enabled: process.env.MODERATION_ENABLED !== 'false',
+    policyPath: process.env.MODERATION_POLICY_PATH || null,
+    policyVersion: process.env.MODERATION_POLICY_VERSION || 'builtin',
+    blockedTerms: (process.env.MODERATION_BLOCKED_TERMS || '').split(',').map((term) => term.trim()).filter(Boolean),
+    realPeople: (process.env.MODERATION_REAL_PEOPLE || '').split(',').map((name) => name.trim()).filter(Boolean),
+    detectEmails: process.env.MODERATION_DETECT_EMAILS !== 'false',
+    detectPhoneNumbers: process.env.MODERATION_DETECT_PHONE_NUMBERS !== 'false',
+    classifier: {
+      url: process.env.MODERATION_CLASSIFIER_URL || null,
+      timeoutMs: parseInt(process.env.MODERATION_CLASSIFIER_TIMEOUT_MS, 10) || 3000,
+      // Allow prompts through when the classifier is unreachable (Vertex AI still applies its own filters)
+      failOpen: process.env.MODERATION_CLASSIFIER_FAIL_OPEN !== 'false',
+    },
+  },
+
   // User Quota
+  // Daily counts and reservations are kept with the job store driver so every instance sees them
   quota: {
     dailyVideoGenerations: parseInt(process.env.USER_DAILY_QUOTA, 10) || 50,
+    filePath: process.env.QUOTA_STORE_FILE_PATH || path.join(os.tmpdir(), 'veo-quota'),
+    firestoreCollection: process.env.QUOTA_STORE_FIRESTORE_COLLECTION || 'veoQuota',
   },
 };
 
 const validateConfig = () => {
-  const required = ['GCP_PROJECT_ID', 'GCS_BUCKET_NAME'];
+  const storageDrivers = ['gcs', 'local'];
+  if (!storageDrivers.includes(config.storage.driver)) {
+    throw new Error(`STORAGE_DRIVER must be one of: ${storageDrivers.join(', ')}`);
+  }
+
+  const required = ['GCP_PROJECT_ID'];
+  if (config.storage.driver === 'gcs') {
+    required.push('GCS_BUCKET_NAME');
+  }
   const missing = required.filter((key) => !process.env[key]);
 
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
+
+  const providers = ['vertex', 'mock'];
+  if (!providers.includes(config.veo.provider.driver)) {
+    throw new Error(`VEO_PROVIDER must be one of: ${providers.join(', ')}`);
+  }
+
+  const jobStoreDrivers = ['memory', 'file', 'firestore', 'redis'];
+  if (!jobStoreDrivers.includes(config.jobStore.driver)) {
+    throw new Error(`JOB_STORE_DRIVER must be one of: ${jobStoreDrivers.join(', ')}`);
+  }
+
+  if (config.jobStore.driver === 'redis' && !config.jobStore.redisUrl) {
+    throw new Error('REDIS_URL is required when JOB_STORE_DRIVER=redis');
+  }
+
+  if (config.webhooks.allowedHosts.length > 0 && !config.webhooks.signingSecret) {
+    throw new Error('WEBHOOK_SIGNING_SECRET is required when WEBHOOK_ALLOWED_HOSTS is set');
+  }
 };
 
 module.exports = { config, validateConfig };
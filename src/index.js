@@ -6,14 +6,21 @@ const cors = require('cors');
 const { config, validateConfig } = require('./config');
 const { firebaseAuth } = require('./middleware/auth');
 const { rateLimiter } = require('./middleware/rateLimiter');
+const { cleanupIdempotencyKeys } = require('./middleware/idempotency');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const healthRoutes = require('./routes/healthRoutes');
 const logger = require('./utils/logger');
+const { isShuttingDown, markShuttingDown } = require('./utils/lifecycle');
+const { ServiceUnavailableError } = require('./utils/errors');
 const { initializeFirebase } = require('./services/firebaseService');
 
 let videoRoutes;
+let presetRoutes;
+let storageRoutes;
 let veoService;
 let quotaService;
+let moderationService;
+let scheduler;
 
 // Validate configuration on startup
 try {
@@ -33,9 +40,13 @@ try {
 
 // Require modules that depend on validated config/env
 videoRoutes = require('./routes/videoRoutes');
+presetRoutes = require('./routes/presetRoutes');
 youtubeRoutes = require('./routes/youtubeRoutes');
+storageRoutes = require('./routes/storageRoutes');
 veoService = require('./services/veoService');
 ({ quotaService } = require('./services/quotaService'));
+({ moderationService } = require('./services/moderationService'));
+({ scheduler } = require('./services/scheduler'));
 
 const app = express();
 
@@ -51,8 +62,9 @@ app.use(helmet({
 // CORS configuration for Android app
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'Range', 'If-None-Match', 'If-Range'],
+  exposedHeaders: ['Content-Range', 'Content-Length', 'Accept-Ranges', 'ETag', 'Content-Disposition'],
   maxAge: 86400,
 }));
 
@@ -80,12 +92,27 @@ app.use((req, res, next) => {
 // Health routes (no auth required)
 app.use('/v1/health', healthRoutes);
 
+// Refuse new generations once shutdown has started; reads and cancellations still work
+app.use('/v1/video', (req, res, next) => {
+  if (req.method === 'POST' && isShuttingDown()) {
+    res.set('Retry-After', '10');
+    return next(new ServiceUnavailableError('Server is shutting down, please retry'));
+  }
+  next();
+});
+
+// Signed URLs for the local storage driver (no auth required - the URL is signed)
+if (config.storage.driver === 'local') {
+  app.use('/v1/storage', storageRoutes);
+}
+
 // Apply Firebase authentication to video routes
 // Rate limiting is applied after auth so we can use user UID
 app.use('/v1/video', firebaseAuth);
 app.use('/v1/video', rateLimiter);
 
-// Video routes (protected by Firebase auth)
+// Style presets and video routes (protected by Firebase auth)
+app.use('/v1/video/presets', presetRoutes);
 app.use('/v1/video', videoRoutes);
 
 // YouTube OAuth routes (protected by Firebase auth)
@@ -114,18 +141,46 @@ app.use(notFoundHandler);
 // Global error handler
 app.use(errorHandler);
 
-// Periodic cleanup of old jobs and quota entries (every hour)
-if (process.env.ENABLE_PERIODIC_CLEANUP === 'true') {
-  setInterval(() => {
-    veoService.cleanupOldJobs();
-    quotaService.cleanupOldEntries();
-    logger.info('Cleaned up old jobs and quota entries');
-  }, 60 * 60 * 1000);
-}
+// Background tasks
+scheduler.register('reap-expired-jobs', config.scheduler.reaperIntervalMs, async () => {
+  const reaped = await veoService.reapExpiredJobs();
+  if (reaped > 0) {
+    logger.info('Reaped jobs past their deadline', { count: reaped });
+  }
+});
+
+scheduler.register('cleanup', config.scheduler.cleanupIntervalMs, async () => {
+  await veoService.purgeExpiredVideos();
+  await veoService.cleanupOldJobs();
+  await quotaService.cleanupOldEntries();
+  await cleanupIdempotencyKeys();
+  logger.info('Cleaned up old jobs, quota entries and idempotency keys');
+});
+
+// Graceful shutdown: stop taking work, let running generations finish within the
+// grace period, then checkpoint the rest so the next instance can resume them
+let server;
+
+const shutdown = async (signal) => {
+  if (isShuttingDown()) return;
+  markShuttingDown();
+  scheduler.stop();
+
+  logger.info(`${signal} received, shutting down gracefully`, {
+    gracePeriodMs: config.shutdown.gracePeriodMs,
+  });
+
+  if (server) {
+    server.close();
+  }
+
+  try {
+    const { idle, checkpointed } = await veoService.drain(config.shutdown.gracePeriodMs);
+    logger.info('Generation queue drained', { idle, checkpointed });
+  } catch (error) {
+    logger.error('Failed to drain generation queue', { error: error.message });
+  }
 
-// Graceful shutdown
-const shutdown = (signal) => {
-  logger.info(`${signal} received, shutting down gracefully`);
   process.exit(0);
 };
 
@@ -134,14 +189,37 @@ process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start server
 const PORT = config.port;
-app.listen(PORT, '0.0.0.0', () => {
+server = app.listen(PORT, '0.0.0.0', () => {
   logger.info('Server started', {
     port: PORT,
     environment: config.nodeEnv,
     region: config.gcp.region,
     projectId: config.gcp.projectId,
     veoModel: config.veo.modelId,
+    veoProvider: config.veo.provider.driver,
+    jobStore: config.jobStore.driver,
+    storage: config.storage.driver,
+    moderationPolicy: config.moderation.enabled ? moderationService.policy.version : 'disabled',
   });
+
+  if (config.veo.provider.driver === 'mock') {
+    logger.warn('Using the mock Veo provider: generations return a placeholder video and never reach Vertex');
+  }
+
+  if (config.scheduler.enabled) {
+    scheduler.start();
+  }
+
+  // Pick up Veo operations that were still running when the previous instance stopped
+  veoService.resumeProcessingJobs()
+    .then((count) => {
+      if (count > 0) {
+        logger.info('Resumed in-flight Veo operations', { count });
+      }
+    })
+    .catch((error) => {
+      logger.error('Failed to resume in-flight Veo operations', { error: error.message });
+    });
 });
 
 module.exports = app;
@@ -0,0 +1,140 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const { ValidationError } = require('../../utils/errors');
+const { errorHandler } = require('../errorHandler');
+const { idempotency } = require('../idempotency');
+
+/**
+ * Generation-like endpoint behind the middleware: fails with 400 when the body asks
+ * for it, otherwise accepts a new job. handled counts requests that reach it.
+ */
+const createApp = () => {
+  const app = express();
+  app.handled = 0;
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { uid: req.get('X-Test-User') || 'user-1' };
+    next();
+  });
+  app.post('/generate', idempotency, (req, res, next) => {
+    app.handled++;
+    if (req.body.fail) {
+      return next(new ValidationError('Invalid request'));
+    }
+    res.status(202).json({ success: true, data: { jobId: `job-${app.handled}` } });
+  });
+  app.use(errorHandler);
+
+  return app;
+};
+
+describe('idempotency middleware', () => {
+  let app;
+  let server;
+  let baseUrl;
+
+  const post = async (body, { key = 'key-1', user } = {}) => {
+    const response = await fetch(`${baseUrl}/generate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(key && { 'Idempotency-Key': key }),
+        ...(user && { 'X-Test-User': user }),
+      },
+      body: JSON.stringify(body),
+    });
+    return {
+      status: response.status,
+      replayed: response.headers.get('Idempotent-Replayed'),
+      body: await response.json(),
+    };
+  };
+
+  beforeAll(async () => {
+    logger.silent = true;
+    app = createApp();
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    logger.silent = false;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    app.handled = 0;
+  });
+
+  it('replays the original response for a retry with the same body', async () => {
+    const key = 'replay';
+    const first = await post({ prompt: 'a lighthouse', seed: 1 }, { key });
+    const retry = await post({ seed: 1, prompt: 'a lighthouse' }, { key });
+
+    expect(first).toMatchObject({ status: 202, replayed: null });
+    expect(retry).toEqual({ status: 202, replayed: 'true', body: first.body });
+    expect(app.handled).toBe(1);
+  });
+
+  it('rejects the same key with a different body', async () => {
+    const key = 'conflict';
+    await post({ prompt: 'a lighthouse' }, { key });
+    const reused = await post({ prompt: 'a harbour' }, { key });
+
+    expect(reused.status).toBe(409);
+    expect(reused.body.error.code).toBe('IDEMPOTENCY_CONFLICT');
+    expect(app.handled).toBe(1);
+  });
+
+  it('releases the key after a non-2xx response so the client can retry', async () => {
+    const key = 'release';
+    const failed = await post({ prompt: 'a lighthouse', fail: true }, { key });
+    expect(failed.status).toBe(400);
+
+    const retry = await post({ prompt: 'a lighthouse' }, { key });
+    expect(retry).toMatchObject({ status: 202, replayed: null });
+    expect(app.handled).toBe(2);
+  });
+
+  it('scopes keys per user', async () => {
+    const key = 'shared';
+    const first = await post({ prompt: 'a lighthouse' }, { key, user: 'user-1' });
+    const other = await post({ prompt: 'a lighthouse' }, { key, user: 'user-2' });
+
+    expect(other).toMatchObject({ status: 202, replayed: null });
+    expect(other.body).not.toEqual(first.body);
+    expect(app.handled).toBe(2);
+  });
+
+  it('passes requests without a key straight through', async () => {
+    await post({ prompt: 'a lighthouse' }, { key: null });
+    await post({ prompt: 'a lighthouse' }, { key: null });
+
+    expect(app.handled).toBe(2);
+  });
+
+  it('rejects malformed keys', async () => {
+    const response = await post({ prompt: 'a lighthouse' }, { key: 'has space' });
+
+    expect(response.status).toBe(400);
+    expect(app.handled).toBe(0);
+  });
+
+  it('creates its store on first use rather than at require time', async () => {
+    let createJobStore;
+    let cleanupIdempotencyKeys;
+    jest.isolateModules(() => {
+      createJobStore = jest.spyOn(require('../../services/jobStore'), 'createJobStore');
+      ({ cleanupIdempotencyKeys } = require('../idempotency'));
+    });
+
+    expect(createJobStore).not.toHaveBeenCalled();
+
+    await cleanupIdempotencyKeys();
+    await cleanupIdempotencyKeys();
+    expect(createJobStore).toHaveBeenCalledTimes(1);
+    expect(createJobStore).toHaveBeenCalledWith(expect.objectContaining({ idField: 'idempotencyKey' }));
+  });
+});
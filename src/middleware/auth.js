@@ -42,6 +42,7 @@ const firebaseAuth = async (req, res, next) => {
       name: decodedToken.name,
       picture: decodedToken.picture,
       authTime: decodedToken.auth_time,
+      plan: decodedToken.plan, // Custom claim set by the billing backend, used for queue priority
     };
 
     logger.debug('User authenticated', {
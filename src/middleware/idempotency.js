@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { AppError, ValidationError } = require('../utils/errors');
+const { createJobStore } = require('../services/jobStore');
+
+// Shared with every instance through the job store driver, expiring after config.idempotency.ttlMs
+// Record: { idempotencyKey, userId, requestHash, state: 'IN_PROGRESS' | 'COMPLETED', statusCode, body }
+let idempotencyStore = null;
+
+/**
+ * Create the store on first use so it is built from validated config
+ */
+const getStore = () => {
+  if (!idempotencyStore) {
+    idempotencyStore = createJobStore({
+      ...config.jobStore,
+      ttlMs: config.idempotency.ttlMs,
+      idField: 'idempotencyKey',
+      filePath: config.idempotency.filePath,
+      firestoreCollection: config.idempotency.firestoreCollection,
+      redisKeyPrefix: `${config.jobStore.redisKeyPrefix}idempotency:`,
+    });
+  }
+  return idempotencyStore;
+};
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/; // Printable ASCII, no spaces
+
+class IdempotencyConflictError extends AppError {
+  constructor(message) {
+    super(message, 409, 'IDEMPOTENCY_CONFLICT');
+  }
+}
+
+/**
+ * JSON.stringify with sorted object keys so equivalent bodies hash the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+// Client keys may hold characters that file names and Firestore IDs cannot
+const toStoreKey = (uid, key) => crypto.createHash('sha256').update(`${uid}:${key}`).digest('hex');
+
+/**
+ * Idempotency-Key middleware for generation endpoints
+ * Must run after Firebase auth; keys are scoped per user.
+ *
+ * - Same key + same body: replays the original successful response
+ * - Same key + different body, or while the first request is still running: 409
+ * - Failed requests (non-2xx) release the key so the client can retry
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return next(new ValidationError('Invalid Idempotency-Key header', [{
+      field: 'Idempotency-Key',
+      message: 'Must be 1-255 printable ASCII characters without spaces',
+      value: key,
+    }]));
+  }
+
+  try {
+    const idempotencyStore = getStore();
+    const storeKey = toStoreKey(req.user.uid, key);
+    const requestHash = hashRequest(req);
+
+    // Creating the record claims the key; only one request gets past this
+    const claimed = await idempotencyStore.create(storeKey, {
+      userId: req.user.uid,
+      requestHash,
+      state: 'IN_PROGRESS',
+    });
+
+    if (!claimed) {
+      const existing = await idempotencyStore.get(storeKey);
+
+      if (existing && existing.requestHash !== requestHash) {
+        logger.warn('Idempotency key reused with a different request', { uid: req.user.uid, key });
+        return next(new IdempotencyConflictError('Idempotency-Key was already used for a different request'));
+      }
+
+      // Missing means the first request failed and released the key just now
+      if (!existing || existing.state === 'IN_PROGRESS') {
+        return next(new IdempotencyConflictError('A request with this Idempotency-Key is still being processed'));
+      }
+
+      logger.info('Replaying idempotent response', { uid: req.user.uid, key });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.body);
+    }
+
+    const release = () => idempotencyStore.delete(storeKey).catch((error) => {
+      logger.error('Failed to release idempotency key', { uid: req.user.uid, key, error: error.message });
+    });
+    let responded = false;
+
+    // Capture the response so retries can be answered from the store
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responded = true;
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        idempotencyStore.update(storeKey, {
+          state: 'COMPLETED',
+          statusCode: res.statusCode,
+          body,
+        }).catch((error) => {
+          logger.error('Failed to record idempotent response', { uid: req.user.uid, key, error: error.message });
+        });
+      } else {
+        release();
+      }
+      return originalJson(body);
+    };
+
+    // Release the key if the connection ends without a response being recorded
+    res.on('close', () => {
+      if (!responded) {
+        release();
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Clean up expired idempotency keys (call periodically)
+ * Stores with native TTL only prune indexes here.
+ */
+const cleanupIdempotencyKeys = async () => {
+  const cleaned = await getStore().deleteExpired();
+
+  if (cleaned > 0) {
+    logger.info('Cleaned up expired idempotency keys', { count: cleaned });
+  }
+};
+
+module.exports = {
+  idempotency,
+  cleanupIdempotencyKeys,
+  IdempotencyConflictError,
+};
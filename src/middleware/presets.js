@@ -0,0 +1,50 @@
+const { ValidationError } = require('../utils/errors');
+const { presetService } = require('../services/presetService');
+
+/**
+ * Resolve one request's presetId and merge the preset into it
+ * @returns {Promise<{ body: Object, detail?: Object }>} detail describes an unknown preset
+ */
+const resolvePreset = async (body, uid, field) => {
+  if (!body || typeof body !== 'object' || body.presetId === undefined) return { body };
+
+  const preset = await presetService.get(body.presetId, uid);
+  if (!preset) {
+    return { body, detail: { field, message: 'Preset not found', value: body.presetId } };
+  }
+
+  return { body: presetService.applyPreset(body, preset) };
+};
+
+/**
+ * Apply the preset named by `presetId` to a generation request (or to each batch item)
+ * Runs before validation, so preset values are checked against the requested model.
+ * Fields set in the request take priority over the preset.
+ */
+const applyPreset = async (req, res, next) => {
+  try {
+    const uid = req.user.uid;
+
+    if (Array.isArray(req.body.items)) {
+      const resolved = await Promise.all(req.body.items.map((item, index) =>
+        resolvePreset(item, uid, `items[${index}].presetId`)));
+      const details = resolved.map(({ detail }) => detail).filter(Boolean);
+      if (details.length > 0) {
+        return next(new ValidationError('Validation failed', details));
+      }
+      req.body.items = resolved.map(({ body }) => body);
+      return next();
+    }
+
+    const { body, detail } = await resolvePreset(req.body, uid, 'presetId');
+    if (detail) {
+      return next(new ValidationError('Validation failed', [detail]));
+    }
+    req.body = body;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { applyPreset };
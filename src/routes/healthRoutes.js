@@ -1,5 +1,6 @@
 const express = require('express');
 const { config } = require('../config');
+const { isShuttingDown } = require('../utils/lifecycle');
 
 const router = express.Router();
 
@@ -25,10 +26,11 @@ router.get('/', (req, res) => {
  * Readiness probe for Cloud Run
  */
 router.get('/ready', (req, res) => {
-  // Check if required configurations are present
+  // Check if required configurations are present and the instance is not shutting down
   const isReady =
     config.gcp.projectId &&
-    config.gcs.bucketName;
+    (config.storage.driver !== 'gcs' || config.gcs.bucketName) &&
+    !isShuttingDown();
 
   if (isReady) {
     res.json({
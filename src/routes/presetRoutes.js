@@ -0,0 +1,139 @@
+const express = require('express');
+const { presetService } = require('../services/presetService');
+const { presetValidations, presetIdValidation } = require('../validators/presetValidators');
+const { NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Pick the preset fields from a validated request body
+ */
+const pickPresetFields = (source) => ({
+  name: source.name,
+  description: source.description,
+  params: source.params,
+});
+
+/**
+ * GET /v1/video/presets
+ * List the built-in presets and the user's own
+ * Requires Firebase authentication
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const user = req.user; // From Firebase auth middleware
+
+    res.json({
+      success: true,
+      data: {
+        presets: await presetService.list(user.uid),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /v1/video/presets
+ * Save a user preset
+ * Requires Firebase authentication
+ */
+router.post('/', presetValidations, async (req, res, next) => {
+  try {
+    const user = req.user; // From Firebase auth middleware
+
+    const preset = await presetService.create(user.uid, pickPresetFields(req.body));
+
+    logger.info('Preset created', { uid: user.uid, presetId: preset.presetId });
+
+    res.status(201).json({
+      success: true,
+      data: preset,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /v1/video/presets/:presetId
+ * Get a built-in preset or one of the user's own
+ * Requires Firebase authentication - users can only access their own presets
+ */
+router.get('/:presetId', presetIdValidation, async (req, res, next) => {
+  try {
+    const { presetId } = req.params;
+    const user = req.user; // From Firebase auth middleware
+
+    const preset = await presetService.get(presetId, user.uid);
+
+    if (!preset) {
+      throw new NotFoundError(`Preset ${presetId} not found`);
+    }
+
+    res.json({
+      success: true,
+      data: preset,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /v1/video/presets/:presetId
+ * Replace a user preset; built-in presets cannot be changed
+ * Requires Firebase authentication - users can only change their own presets
+ */
+router.put('/:presetId', presetIdValidation, presetValidations, async (req, res, next) => {
+  try {
+    const { presetId } = req.params;
+    const user = req.user; // From Firebase auth middleware
+
+    const preset = await presetService.update(presetId, user.uid, pickPresetFields(req.body));
+
+    if (!preset) {
+      throw new NotFoundError(`Preset ${presetId} not found`);
+    }
+
+    logger.info('Preset updated', { uid: user.uid, presetId });
+
+    res.json({
+      success: true,
+      data: preset,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /v1/video/presets/:presetId
+ * Delete a user preset; jobs that used it are not affected
+ * Requires Firebase authentication - users can only delete their own presets
+ */
+router.delete('/:presetId', presetIdValidation, async (req, res, next) => {
+  try {
+    const { presetId } = req.params;
+    const user = req.user; // From Firebase auth middleware
+
+    const deleted = await presetService.delete(presetId, user.uid);
+
+    if (!deleted) {
+      throw new NotFoundError(`Preset ${presetId} not found`);
+    }
+
+    logger.info('Preset deleted', { uid: user.uid, presetId });
+
+    res.json({
+      success: true,
+      data: { presetId, deleted: true },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
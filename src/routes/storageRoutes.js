@@ -0,0 +1,44 @@
+const express = require('express');
+const { storageDriver } = require('../services/storage');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+const { sendStoredObject } = require('../utils/objectResponse');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * GET /v1/storage/:key
+ * Serve an object from the local storage driver via a signed URL
+ * Query: expires, download, signature (as issued by LocalStorageDriver.getSignedReadUrl)
+ * No Firebase auth - the signature is the credential
+ */
+router.get('/*', async (req, res, next) => {
+  try {
+    const key = req.params[0];
+    const { download } = req.query;
+
+    if (!storageDriver.verifySignedUrl(key, req.query)) {
+      throw new ForbiddenError('Invalid or expired signature');
+    }
+
+    const uri = storageDriver.toUri(key);
+    const stat = await storageDriver.stat(uri);
+    if (!stat) {
+      throw new NotFoundError('Object not found');
+    }
+
+    sendStoredObject(req, res, {
+      stat,
+      fileName: download || key.split('/').pop(),
+      download: Boolean(download),
+      createReadStream: (range) => storageDriver.createReadStream(uri, range),
+      onStreamError: (error) => {
+        logger.error('Storage stream failed', { key, error: error.message });
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,65 +1,110 @@
 const express = require('express');
+const { config } = require('../config');
 const veoService = require('../services/veoService');
 const { quotaService } = require('../services/quotaService');
+const { moderationService } = require('../services/moderationService');
+const { modelRegistry } = require('../services/modelRegistry');
+const { presetService } = require('../services/presetService');
 const { videoGenerationLimiter } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
+const { applyPreset } = require('../middleware/presets');
 const {
   textToVideoValidations,
   imageToVideoValidations,
   videoToVideoValidations,
   jobIdValidation,
+  listJobsValidation,
+  batchValidations,
+  batchIdValidation,
+  videoUrlValidation,
+  videoContentValidation,
 } = require('../validators/videoValidators');
 const { NotFoundError, UnsupportedModeError } = require('../utils/errors');
+const { serializeJob } = require('../utils/jobSerializer');
+const { sendStoredObject } = require('../utils/objectResponse');
+const { isTerminalStatus } = require('../utils/jobStatus');
+const {
+  STYLE_OPTIONS,
+  SCENE_OPTIONS,
+  SCENE_TEMPLATE_VERSIONS,
+  LATEST_SCENE_TEMPLATE_VERSION,
+} = require('../utils/promptTemplates');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * Pick the generation parameters shared by every mode from a validated request body
+ */
+const pickGenerationParams = (source) => ({
+  model: source.model,
+  presetId: source.presetId,
+  prompt: source.prompt,
+  scene: source.scene,
+  durationSeconds: source.durationSeconds,
+  aspectRatio: source.aspectRatio,
+  fps: source.fps,
+  cameraStyle: source.cameraStyle,
+  motionLevel: source.motionLevel,
+  lighting: source.lighting,
+  quality: source.quality,
+  seed: source.seed,
+  sampleCount: source.sampleCount,
+  negativePrompt: source.negativePrompt,
+  generateAudio: source.generateAudio,
+  callbackUrl: source.callbackUrl,
+});
+
 /**
  * POST /v1/video/text
  * Generate video from text prompt
- * Requires Firebase authentication
+ * Requires Firebase authentication; honors the Idempotency-Key header
  */
 router.post(
   '/text',
+  idempotency,
   videoGenerationLimiter,
+  applyPreset,
   textToVideoValidations,
   async (req, res, next) => {
     try {
       const user = req.user; // From Firebase auth middleware
 
-      // Check and consume quota
-      const quotaUsage = quotaService.consumeQuota(user.uid);
+      const params = pickGenerationParams(req.body);
 
-      const params = {
-        prompt: req.body.prompt,
-        durationSeconds: req.body.durationSeconds,
-        aspectRatio: req.body.aspectRatio,
-        fps: req.body.fps,
-        cameraStyle: req.body.cameraStyle,
-        motionLevel: req.body.motionLevel,
-        lighting: req.body.lighting,
-        quality: req.body.quality,
-        seed: req.body.seed,
-        negativePrompt: req.body.negativePrompt,
-        generateAudio: req.body.generateAudio,
-      };
+      // Screen the prompt before any quota is taken
+      await moderationService.assertAllowed(user.uid, [{ params }]);
+
+      // Check and reserve one unit per sample; committed on completion, released on failure or cancellation
+      const quotaReservation = await quotaService.reserveQuota(user.uid, params.sampleCount || 1);
 
       logger.info('Text-to-video request received', {
         uid: user.uid,
-        prompt: params.prompt.substring(0, 100),
+        prompt: params.prompt && params.prompt.substring(0, 100),
+        scene: Boolean(params.scene),
         aspectRatio: params.aspectRatio,
         duration: params.durationSeconds,
       });
 
-      const result = await veoService.generateFromText(params, user);
+      let result;
+      try {
+        result = await veoService.generateFromText(params, user, { quotaReservation });
+      } catch (error) {
+        // The job was never accepted, so give the reserved units back
+        await quotaService.releaseQuota(user.uid, quotaReservation.reservationId, quotaReservation.date);
+        throw error;
+      }
 
       res.status(202).json({
         success: true,
         data: {
           jobId: result.jobId,
-          status: 'PENDING',
+          status: result.status,
           mode: 'TEXT_TO_VIDEO',
+          queuePosition: result.queuePosition,
+          estimatedStartAt: result.estimatedStartAt,
           message: 'Video generation started. Poll /v1/video/status/:jobId for updates.',
-          quota: quotaUsage,
+          quota: quotaReservation.usage,
         },
       });
     } catch (error) {
@@ -71,11 +116,13 @@ router.post(
 /**
  * POST /v1/video/image
  * Generate video from image
- * Requires Firebase authentication
+ * Requires Firebase authentication; honors the Idempotency-Key header
  */
 router.post(
   '/image',
+  idempotency,
   videoGenerationLimiter,
+  applyPreset,
   imageToVideoValidations,
   async (req, res, next) => {
     try {
@@ -85,41 +132,44 @@ router.post(
         throw new UnsupportedModeError('IMAGE_TO_VIDEO');
       }
 
-      // Check and consume quota
-      const quotaUsage = quotaService.consumeQuota(user.uid);
-
       const params = {
-        prompt: req.body.prompt,
+        ...pickGenerationParams(req.body),
         imageBase64: req.body.imageBase64,
         imageMimeType: req.body.imageMimeType,
-        durationSeconds: req.body.durationSeconds,
-        aspectRatio: req.body.aspectRatio,
-        fps: req.body.fps,
-        cameraStyle: req.body.cameraStyle,
-        motionLevel: req.body.motionLevel,
-        lighting: req.body.lighting,
-        quality: req.body.quality,
-        seed: req.body.seed,
-        negativePrompt: req.body.negativePrompt,
-        generateAudio: req.body.generateAudio,
       };
 
+      // Screen the prompt before any quota is taken
+      await moderationService.assertAllowed(user.uid, [{ params }]);
+
+      // Check and reserve one unit per sample; committed on completion, released on failure or cancellation
+      const quotaReservation = await quotaService.reserveQuota(user.uid, params.sampleCount || 1);
+
       logger.info('Image-to-video request received', {
         uid: user.uid,
-        prompt: params.prompt.substring(0, 100),
+        prompt: params.prompt && params.prompt.substring(0, 100),
+        scene: Boolean(params.scene),
         imageMimeType: params.imageMimeType,
       });
 
-      const result = await veoService.generateFromImage(params, user);
+      let result;
+      try {
+        result = await veoService.generateFromImage(params, user, { quotaReservation });
+      } catch (error) {
+        // The job was never accepted, so give the reserved units back
+        await quotaService.releaseQuota(user.uid, quotaReservation.reservationId, quotaReservation.date);
+        throw error;
+      }
 
       res.status(202).json({
         success: true,
         data: {
           jobId: result.jobId,
-          status: 'PENDING',
+          status: result.status,
           mode: 'IMAGE_TO_VIDEO',
+          queuePosition: result.queuePosition,
+          estimatedStartAt: result.estimatedStartAt,
           message: 'Video generation started. Poll /v1/video/status/:jobId for updates.',
-          quota: quotaUsage,
+          quota: quotaReservation.usage,
         },
       });
     } catch (error) {
@@ -135,31 +185,24 @@ router.post(
  */
 router.post(
   '/video',
+  idempotency,
   videoGenerationLimiter,
+  applyPreset,
   videoToVideoValidations,
   async (req, res, next) => {
     try {
       const user = req.user; // From Firebase auth middleware
 
       const params = {
-        prompt: req.body.prompt,
+        ...pickGenerationParams(req.body),
         videoBase64: req.body.videoBase64,
         videoMimeType: req.body.videoMimeType,
-        durationSeconds: req.body.durationSeconds,
-        aspectRatio: req.body.aspectRatio,
-        fps: req.body.fps,
-        cameraStyle: req.body.cameraStyle,
-        motionLevel: req.body.motionLevel,
-        lighting: req.body.lighting,
-        quality: req.body.quality,
-        seed: req.body.seed,
-        negativePrompt: req.body.negativePrompt,
-        generateAudio: req.body.generateAudio,
       };
 
       logger.info('Video-to-video request received', {
         uid: user.uid,
-        prompt: params.prompt.substring(0, 100),
+        prompt: params.prompt && params.prompt.substring(0, 100),
+        scene: Boolean(params.scene),
       });
 
       const result = await veoService.generateFromVideo(params, user);
@@ -179,6 +222,101 @@ router.post(
   }
 );
 
+/**
+ * POST /v1/video/batch
+ * Generate several videos in one call
+ * Body: { items: [{ mode?: 'TEXT_TO_VIDEO' | 'IMAGE_TO_VIDEO', prompt, ...same fields as /text or /image }] }
+ * Quota for the whole batch is reserved up front: either every item is accepted or none is.
+ * Requires Firebase authentication; honors the Idempotency-Key header
+ */
+router.post(
+  '/batch',
+  idempotency,
+  videoGenerationLimiter,
+  applyPreset,
+  batchValidations,
+  async (req, res, next) => {
+    try {
+      const user = req.user; // From Firebase auth middleware
+
+      const items = req.body.items.map((item) => {
+        const mode = item.mode || 'TEXT_TO_VIDEO';
+        const params = mode === 'IMAGE_TO_VIDEO'
+          ? { ...pickGenerationParams(item), imageBase64: item.imageBase64, imageMimeType: item.imageMimeType }
+          : pickGenerationParams(item);
+        return { mode, params };
+      });
+
+      items.forEach(({ mode }) => {
+        if (!veoService.isModeSupported(mode)) {
+          throw new UnsupportedModeError(mode);
+        }
+      });
+
+      await moderationService.assertAllowed(
+        user.uid,
+        items.map(({ params }, index) => ({ params, fieldPrefix: `items[${index}].` }))
+      );
+
+      // Reserve quota for every sample of every item or fail the whole batch
+      const { reservations, usage } = await quotaService.reserveQuotaBatch(
+        user.uid,
+        items.map(({ params }) => params.sampleCount || 1)
+      );
+
+      logger.info('Batch generation request received', {
+        uid: user.uid,
+        items: items.length,
+      });
+
+      const batch = await veoService.generateBatch(items, user, { quotaReservations: reservations });
+
+      res.status(202).json({
+        success: true,
+        data: {
+          batchId: batch.batchId,
+          jobs: batch.jobs,
+          message: 'Batch generation started. Poll /v1/video/batch/:batchId for updates.',
+          quota: usage,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /v1/video/batch/:batchId
+ * Get a rollup of a batch's jobs
+ * Requires Firebase authentication - users can only access their own batches
+ */
+router.get('/batch/:batchId', batchIdValidation, async (req, res, next) => {
+  try {
+    const { batchId } = req.params;
+    const user = req.user; // From Firebase auth middleware
+
+    const batch = await veoService.getBatchStatus(batchId, user.uid);
+
+    if (!batch) {
+      throw new NotFoundError(`Batch ${batchId} not found`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        batchId,
+        status: batch.status,
+        total: batch.jobs.length,
+        counts: batch.counts,
+        jobs: batch.jobs.map(serializeJob),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /v1/video/status/:jobId
  * Get video generation job status
@@ -190,87 +328,275 @@ router.get('/status/:jobId', jobIdValidation, async (req, res, next) => {
     const user = req.user; // From Firebase auth middleware
 
     // Get job with user ownership verification
-    const job = veoService.getJobStatus(jobId, user.uid);
+    const job = await veoService.getJobStatus(jobId, user.uid);
 
     if (!job) {
       throw new NotFoundError(`Job ${jobId} not found`);
     }
 
-    const response = {
+    res.json({
+      success: true,
+      data: serializeJob(await veoService.refreshExpiringUrls(job)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /v1/video/jobs
+ * List the authenticated user's jobs, newest first by default
+ * Query: status (comma-separated), mode, createdFrom, createdTo, sortBy, order, limit, cursor
+ * Requires Firebase authentication - users only see their own jobs
+ */
+router.get('/jobs', listJobsValidation, async (req, res, next) => {
+  try {
+    const user = req.user; // From Firebase auth middleware
+
+    const { jobs, nextCursor } = await veoService.listJobs(user.uid, {
+      status: req.query.status,
+      mode: req.query.mode,
+      createdFrom: req.query.createdFrom,
+      createdTo: req.query.createdTo,
+      sortBy: req.query.sortBy,
+      order: req.query.order,
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+    });
+
+    res.json({
       success: true,
       data: {
-        jobId: job.jobId,
-        status: job.status,
-        mode: job.mode,
-        createdAt: job.createdAt,
+        jobs: jobs.map(serializeJob),
+        nextCursor,
       },
-    };
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Include result details if completed
-    // Client will use signedUrl to download, then upload to their own storage
-    if (job.status === 'COMPLETED' && job.result) {
-      response.data.result = {
-        videoUri: job.result.videoUri,
-        signedUrl: job.result.signedUrl,
-        expiresAt: job.result.expiresAt,
-      };
-      response.data.completedAt = job.completedAt;
+/**
+ * DELETE /v1/video/jobs/:jobId
+ * Cancel a queued or processing job and refund its quota unit
+ * Requires Firebase authentication - users can only cancel their own jobs
+ */
+router.delete('/jobs/:jobId', jobIdValidation, async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const user = req.user; // From Firebase auth middleware
+
+    const job = await veoService.cancelJob(jobId, user.uid);
+
+    if (!job) {
+      throw new NotFoundError(`Job ${jobId} not found`);
+    }
+
+    res.json({
+      success: true,
+      data: serializeJob(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /v1/video/jobs/:jobId/video
+ * Delete a completed job's video files now, leaving the job as an EXPIRED tombstone
+ * Requires Firebase authentication - users can only delete their own videos
+ */
+router.delete('/jobs/:jobId/video', jobIdValidation, async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const user = req.user; // From Firebase auth middleware
+
+    const job = await veoService.deleteVideo(jobId, user.uid);
+
+    if (!job) {
+      throw new NotFoundError(`Job ${jobId} not found`);
     }
 
-    // Include error if failed
-    if (job.status === 'FAILED') {
-      response.data.error = job.error;
-      response.data.completedAt = job.completedAt;
+    res.json({
+      success: true,
+      data: serializeJob(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /v1/video/jobs/:jobId/url
+ * Mint a fresh signed URL for a completed video
+ * Query: ttl (seconds), download (attachment disposition), sample (index into results)
+ * Requires Firebase authentication - users can only access their own jobs
+ */
+router.get('/jobs/:jobId/url', videoUrlValidation, async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const user = req.user; // From Firebase auth middleware
+
+    const url = await veoService.getVideoUrl(jobId, user.uid, {
+      sample: req.query.sample,
+      ttlSeconds: req.query.ttl,
+      download: req.query.download,
+    });
+
+    if (!url) {
+      throw new NotFoundError(`Job ${jobId} not found`);
     }
 
-    res.json(response);
+    res.json({
+      success: true,
+      data: { jobId, ...url },
+    });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * GET /v1/video/jobs/:jobId/content
+ * Stream a completed video through the API, for clients that cannot reach signed storage URLs
+ * Supports single byte ranges (Range / If-Range), ETag / If-None-Match and HEAD.
+ * Query: download (attachment disposition), sample (index into results)
+ * Requires Firebase authentication - users can only access their own jobs
+ */
+router.get('/jobs/:jobId/content', videoContentValidation, async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const user = req.user; // From Firebase auth middleware
+
+    const content = await veoService.getVideoContent(jobId, user.uid, req.query.sample);
+
+    if (!content) {
+      throw new NotFoundError(`Job ${jobId} not found`);
+    }
+
+    sendStoredObject(req, res, {
+      ...content,
+      download: req.query.download,
+      onStreamError: (error) => {
+        logger.error('Video stream failed', { jobId, uid: user.uid, error: error.message });
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /v1/video/jobs/:jobId/events
+ * Server-Sent Events stream of job status changes
+ * Sends the current status immediately, then one `status` event per change, with
+ * heartbeat comments in between. The stream closes once the job reaches a terminal status.
+ * Requires Firebase authentication - users can only watch their own jobs
+ */
+router.get('/jobs/:jobId/events', jobIdValidation, async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const user = req.user; // From Firebase auth middleware
+
+    const job = await veoService.getJobStatus(jobId, user.uid);
+
+    if (!job) {
+      throw new NotFoundError(`Job ${jobId} not found`);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${config.events.retryMs}\n\n`);
+
+    let lastPayload = null;
+    let closed = false;
+    let heartbeat = null;
+    let unsubscribe = null;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+      res.end();
+    };
+
+    const send = (current) => {
+      if (closed) return;
+
+      if (!current || !veoService.isJobOwner(current, user.uid)) {
+        close();
+        return;
+      }
+
+      // Store writes that do not change the public view (e.g. webhook logs) are not sent
+      const payload = JSON.stringify(serializeJob(veoService.withQueueInfo(current)));
+      if (payload !== lastPayload) {
+        lastPayload = payload;
+        res.write(`event: status\nid: ${current.updatedAt}\ndata: ${payload}\n\n`);
+      }
+
+      if (isTerminalStatus(current.status)) {
+        close();
+      }
+    };
+
+    req.on('close', close);
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.events.heartbeatMs);
+    unsubscribe = veoService.watchJob(jobId, send);
+
+    // Re-read after subscribing so a change between the first read and the subscription is not missed
+    send(job);
+    send(await veoService.getJobStatus(jobId, user.uid));
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('Job event stream failed', { jobId: req.params.jobId, error: error.message });
+      res.end();
+      return;
+    }
+    next(error);
+  }
+});
+
 /**
  * GET /v1/video/modes
- * Get supported video generation modes
+ * Get supported video generation modes, models and their parameters
+ * `parameters` describes the default model; `models` lists every model that can be requested;
+ * `presets` lists the presets the user can pass as presetId.
  */
-router.get('/modes', (req, res) => {
-  const { config } = require('../config');
-
-  res.json({
-    success: true,
-    data: {
-      supportedModes: Object.entries(config.veo.supportedModes)
-        .filter(([, enabled]) => enabled)
-        .map(([mode]) => mode),
-      parameters: {
-        durationSeconds: {
-          allowed: config.veo.limits.allowedDurations,
-          default: config.veo.defaults.durationSeconds,
-        },
-        aspectRatio: {
-          allowed: config.veo.limits.allowedAspectRatios,
-          default: config.veo.defaults.aspectRatio,
-        },
-        fps: {
-          allowed: config.veo.limits.allowedFps,
-          default: config.veo.defaults.fps,
-        },
-        cameraStyle: {
-          allowed: ['cinematic', 'handheld', 'documentary'],
-        },
-        motionLevel: {
-          allowed: ['low', 'medium', 'high'],
-        },
-        lighting: {
-          allowed: ['natural', 'dramatic', 'soft'],
-        },
-        quality: {
-          allowed: ['standard', 'high'],
-          default: config.veo.defaults.quality,
+router.get('/modes', async (req, res, next) => {
+  try {
+    const models = modelRegistry.list().map((model) => modelRegistry.describe(model));
+    const defaultModel = models.find((model) => model.default);
+    // Built-in presets plus the caller's own
+    const presets = await presetService.list(req.user.uid);
+
+    res.json({
+      success: true,
+      data: {
+        supportedModes: Object.entries(config.veo.supportedModes)
+          .filter(([, enabled]) => enabled)
+          .map(([mode]) => mode),
+        defaultModel: defaultModel.id,
+        models,
+        parameters: {
+          ...defaultModel.parameters,
+          ...Object.fromEntries(Object.entries(STYLE_OPTIONS).map(([field, allowed]) => [field, { allowed }])),
+          scene: {
+            ...Object.fromEntries(Object.entries(SCENE_OPTIONS).map(([part, allowed]) => [part, { allowed }])),
+            templateVersion: { allowed: SCENE_TEMPLATE_VERSIONS, default: LATEST_SCENE_TEMPLATE_VERSION },
+          },
         },
+        presets,
       },
-    },
-  });
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
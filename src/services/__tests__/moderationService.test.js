@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { PromptRejectedError, ServiceUnavailableError } = require('../../utils/errors');
+const { ModerationService } = require('../moderationService');
+
+const uid = 'user-1';
+
+/**
+ * Build a service from config-shaped options with everything optional switched off
+ */
+const createService = (options = {}) => new ModerationService({
+  enabled: true,
+  policyPath: null,
+  policyVersion: 'test',
+  blockedTerms: [],
+  realPeople: [],
+  detectEmails: false,
+  detectPhoneNumbers: false,
+  ...options,
+  classifier: { url: null, timeoutMs: 1000, failOpen: true, ...options.classifier },
+});
+
+describe('ModerationService', () => {
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  afterAll(() => {
+    logger.silent = false;
+  });
+
+  describe('matchPolicy', () => {
+    it('matches blocked terms as whole words, ignoring case', () => {
+      const service = createService({ blockedTerms: ['gore'] });
+
+      expect(service.matchPolicy('Lots of GORE, please')).toEqual(['PROHIBITED_CONTENT']);
+      expect(service.matchPolicy('A gorey story')).toEqual([]);
+    });
+
+    it('normalizes lookalike characters before matching', () => {
+      const service = createService({ blockedTerms: ['gore'] });
+
+      expect(service.matchPolicy('ｇｏｒｅ')).toEqual(['PROHIBITED_CONTENT']);
+    });
+
+    it('flags named real people as CELEBRITY', () => {
+      const service = createService({ realPeople: ['Jane Example'] });
+
+      expect(service.matchPolicy('jane example walking a dog')).toEqual(['CELEBRITY']);
+    });
+
+    it('detects email addresses when enabled', () => {
+      expect(createService({ detectEmails: true }).matchPolicy('Write jane.doe@example.com on the sign'))
+        .toEqual(['PERSONAL_INFORMATION']);
+      expect(createService().matchPolicy('Write jane.doe@example.com on the sign')).toEqual([]);
+    });
+
+    it('detects phone numbers but not lists of years', () => {
+      const service = createService({ detectPhoneNumbers: true });
+
+      expect(service.matchPolicy('Call +1 (415) 555-0100 now')).toEqual(['PERSONAL_INFORMATION']);
+      expect(service.matchPolicy('Call 0151 2345 678 now')).toEqual(['PERSONAL_INFORMATION']);
+      expect(service.matchPolicy('From 1999 2000 2001 to today')).toEqual([]);
+      expect(service.matchPolicy('A 4K 60 fps shot, 1080 pixels')).toEqual([]);
+    });
+  });
+
+  describe('policy file', () => {
+    let directory;
+
+    beforeAll(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'veo-moderation-test-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('loads terms, patterns and settings and merges the env lists', () => {
+      const policyPath = path.join(directory, 'policy.json');
+      fs.writeFileSync(policyPath, JSON.stringify({
+        version: '2026-10-01',
+        blockedTerms: { VIOLENCE: ['behead'] },
+        blockedPatterns: { DANGEROUS_CONTENT: ['how to (make|build) a bomb'] },
+        realPeople: ['Jane Example'],
+        detectEmails: true,
+      }));
+
+      const service = createService({ policyPath, blockedTerms: ['gore'], realPeople: ['John Sample'] });
+
+      expect(service.policy.version).toBe('2026-10-01');
+      expect(service.matchPolicy('behead the statue')).toEqual(['VIOLENCE']);
+      expect(service.matchPolicy('How to build a bomb')).toEqual(['DANGEROUS_CONTENT']);
+      expect(service.matchPolicy('gore')).toEqual(['PROHIBITED_CONTENT']);
+      expect(service.matchPolicy('Jane Example and John Sample')).toEqual(['CELEBRITY']);
+      expect(service.matchPolicy('mail me at a@example.com')).toEqual(['PERSONAL_INFORMATION']);
+    });
+  });
+
+  describe('moderate', () => {
+    it('screens the prompt, negative prompt and every string in the scene', async () => {
+      const service = createService({ blockedTerms: ['gore'] });
+
+      const result = await service.moderate(uid, [{
+        params: {
+          prompt: 'A quiet harbour',
+          negativePrompt: 'no gore',
+          scene: { subject: 'a sailor', dialogue: [{ line: 'more gore' }] },
+        },
+      }]);
+
+      expect(result).toMatchObject({ allowed: false, categories: ['PROHIBITED_CONTENT'], policyVersion: 'test' });
+      expect(result.violations.map(({ field }) => field)).toEqual(['negativePrompt', 'scene.dialogue[0].line']);
+      expect(result.violations[0].message).toBe('Prohibited content');
+    });
+
+    it('prefixes fields of batch items', async () => {
+      const service = createService({ blockedTerms: ['gore'] });
+
+      const result = await service.moderate(uid, [
+        { params: { prompt: 'A quiet harbour' }, fieldPrefix: 'items[0].' },
+        { params: { prompt: 'gore' }, fieldPrefix: 'items[1].' },
+      ]);
+
+      expect(result.violations).toEqual([
+        { field: 'items[1].prompt', category: 'PROHIBITED_CONTENT', message: 'Prohibited content' },
+      ]);
+    });
+
+    it('adds the categories of a registered classifier', async () => {
+      const service = createService();
+      const classifier = jest.fn(async (text) => ({
+        categories: text.includes('bridge') ? ['DANGEROUS_CONTENT'] : [],
+        version: 'classifier-3',
+      }));
+      service.registerClassifier(classifier);
+
+      const result = await service.moderate(uid, [{ params: { prompt: 'Jump off a bridge' } }]);
+
+      expect(classifier).toHaveBeenCalledWith('Jump off a bridge', { field: 'prompt', uid });
+      expect(result).toMatchObject({
+        allowed: false,
+        categories: ['DANGEROUS_CONTENT'],
+        classifierVersion: 'classifier-3',
+      });
+    });
+
+    it('lets prompts through when the classifier fails open', async () => {
+      const service = createService();
+      service.registerClassifier(async () => {
+        throw new Error('timeout');
+      });
+
+      expect(await service.moderate(uid, [{ params: { prompt: 'A quiet harbour' } }]))
+        .toMatchObject({ allowed: true, violations: [] });
+    });
+
+    it('refuses to screen when the classifier fails closed', async () => {
+      const service = createService({ classifier: { failOpen: false } });
+      service.registerClassifier(async () => {
+        throw new Error('timeout');
+      });
+
+      await expect(service.moderate(uid, [{ params: { prompt: 'A quiet harbour' } }]))
+        .rejects.toThrow(ServiceUnavailableError);
+    });
+  });
+
+  describe('assertAllowed', () => {
+    it('throws PromptRejectedError with the violations', async () => {
+      const service = createService({ blockedTerms: ['gore'] });
+
+      const error = await service.assertAllowed(uid, [{ params: { prompt: 'gore' } }]).catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(PromptRejectedError);
+      expect(error).toMatchObject({ statusCode: 422, code: 'PROMPT_REJECTED', categories: ['PROHIBITED_CONTENT'] });
+      expect(error.details).toEqual([{ field: 'prompt', category: 'PROHIBITED_CONTENT', message: 'Prohibited content' }]);
+    });
+
+    it('allows clean prompts', async () => {
+      const service = createService({ blockedTerms: ['gore'] });
+
+      await expect(service.assertAllowed(uid, [{ params: { prompt: 'A quiet harbour' } }])).resolves.toBeUndefined();
+    });
+
+    it('does nothing when moderation is disabled', async () => {
+      const service = createService({ enabled: false, blockedTerms: ['gore'] });
+
+      await expect(service.assertAllowed(uid, [{ params: { prompt: 'gore' } }])).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { config } = require('../../config');
+const logger = require('../../utils/logger');
+const { QuotaService, QuotaExceededError } = require('../quotaService');
+const { MemoryJobStore } = require('../jobStore/memoryJobStore');
+
+const uid = 'user-1';
+const LIMIT = 5;
+
+describe('QuotaService', () => {
+  const dailyLimit = config.quota.dailyVideoGenerations;
+  let store;
+  let quota;
+
+  beforeAll(() => {
+    logger.silent = true;
+    config.quota.dailyVideoGenerations = LIMIT;
+  });
+
+  afterAll(() => {
+    logger.silent = false;
+    config.quota.dailyVideoGenerations = dailyLimit;
+  });
+
+  beforeEach(() => {
+    store = new MemoryJobStore({ ttlMs: 60 * 1000, idField: 'quotaKey' });
+    quota = new QuotaService({ store });
+  });
+
+  it('counts reservations against the daily limit', async () => {
+    const reservation = await quota.reserveQuota(uid, 2);
+
+    expect(reservation).toMatchObject({
+      date: quota.getCurrentDateKey(),
+      units: 2,
+      usage: { used: 2, limit: LIMIT, remaining: 3 },
+    });
+    expect(await quota.getQuotaUsage(uid)).toEqual({ used: 2, limit: LIMIT, remaining: 3 });
+    expect(await quota.getQuotaUsage('someone-else')).toEqual({ used: 0, limit: LIMIT, remaining: LIMIT });
+
+    await expect(quota.reserveQuota(uid, 4)).rejects.toThrow(QuotaExceededError);
+    expect((await quota.getQuotaUsage(uid)).used).toBe(2);
+  });
+
+  it('reserves a batch all or nothing', async () => {
+    await expect(quota.reserveQuotaBatch(uid, [2, 2, 2])).rejects.toThrow(QuotaExceededError);
+    expect((await quota.getQuotaUsage(uid)).used).toBe(0);
+
+    const { reservations, usage } = await quota.reserveQuotaBatch(uid, [1, 2, 2]);
+
+    expect(reservations.map((reservation) => reservation.usage.used)).toEqual([1, 3, 5]);
+    expect(usage).toEqual({ used: 5, limit: LIMIT, remaining: 0 });
+  });
+
+  it('commits the units used and gives the rest back', async () => {
+    const { reservationId, date } = await quota.reserveQuota(uid, 3);
+
+    expect(await quota.commitQuota(uid, reservationId, date, 1)).toBe(true);
+    expect((await quota.getQuotaUsage(uid)).used).toBe(1);
+
+    // Settled reservations cannot be settled again
+    expect(await quota.commitQuota(uid, reservationId, date)).toBe(false);
+    expect(await quota.releaseQuota(uid, reservationId, date)).toBe(false);
+    expect((await quota.getQuotaUsage(uid)).used).toBe(1);
+  });
+
+  it('refunds released reservations once', async () => {
+    const { reservationId, date } = await quota.reserveQuota(uid, 2);
+
+    expect(await quota.releaseQuota(uid, reservationId, date)).toBe(true);
+    expect(await quota.releaseQuota(uid, reservationId, date)).toBe(false);
+    expect((await quota.getQuotaUsage(uid)).used).toBe(0);
+  });
+
+  it('does not refund reservations from a previous day', async () => {
+    const { reservationId } = await quota.reserveQuota(uid, 1);
+
+    expect(await quota.releaseQuota(uid, reservationId, '2000-01-01')).toBe(false);
+    expect(await quota.commitQuota(uid, reservationId, '2000-01-01')).toBe(false);
+  });
+
+  it('lets another instance sharing the store settle a reservation', async () => {
+    const other = new QuotaService({ store });
+    const first = await quota.reserveQuota(uid, 2);
+    const second = await quota.reserveQuota(uid, 2);
+
+    expect(await other.releaseQuota(uid, first.reservationId, first.date)).toBe(true);
+    expect(await other.commitQuota(uid, second.reservationId, second.date, 1)).toBe(true);
+
+    expect((await quota.getQuotaUsage(uid)).used).toBe(1);
+  });
+
+  it('never lets concurrent reservations from several instances exceed the limit', async () => {
+    const instances = [quota, new QuotaService({ store }), new QuotaService({ store })];
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 9 }, (_, index) => instances[index % instances.length].reserveQuota(uid))
+    );
+
+    expect(results.filter(({ status }) => status === 'fulfilled')).toHaveLength(LIMIT);
+    expect(results.filter(({ status }) => status === 'rejected')
+      .every(({ reason }) => reason instanceof QuotaExceededError)).toBe(true);
+    expect((await quota.getQuotaUsage(uid)).used).toBe(LIMIT);
+  });
+
+  it('resets a user', async () => {
+    await quota.reserveQuota(uid, 2);
+    await quota.resetQuota(uid);
+
+    expect((await quota.getQuotaUsage(uid)).used).toBe(0);
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'veo-service-test-'));
+process.env.VEO_PROVIDER = 'mock';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_PATH = storageDirectory;
+
+const { config } = require('../../config');
+const logger = require('../../utils/logger');
+const { isTerminalStatus } = require('../../utils/jobStatus');
+const veoService = require('../veoService');
+const { jobStore } = require('../jobStore');
+const { videoProvider } = require('../providers');
+const { quotaService } = require('../quotaService');
+
+const user = { uid: 'user-1', email: 'user@example.com' };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const networkError = (code) => Object.assign(new Error(`socket hang up (${code})`), { code });
+
+const apiError = (httpStatus, status) => Object.assign(new Error(`${status} (test)`), {
+  response: { status: httpStatus, data: { error: { code: httpStatus, status } } },
+});
+
+/**
+ * Wait until a job reaches a terminal status
+ */
+const settled = async (jobId) => {
+  for (;;) {
+    const job = await jobStore.get(jobId);
+    if (job && isTerminalStatus(job.status)) return job;
+    await sleep(5);
+  }
+};
+
+beforeAll(() => {
+  logger.silent = true;
+  videoProvider.delayMs = 0;
+  config.veo.operationPolling.initialDelayMs = 5;
+  config.veo.retry.initialDelayMs = 5;
+});
+
+afterAll(() => {
+  logger.silent = false;
+  fs.rmSync(storageDirectory, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('veoService retries', () => {
+  let submit;
+  let poll;
+  let cancel;
+
+  beforeEach(() => {
+    submit = jest.spyOn(videoProvider, 'predictLongRunning');
+    poll = jest.spyOn(videoProvider, 'fetchPredictOperation');
+    cancel = jest.spyOn(videoProvider, 'cancelOperation');
+  });
+
+  it('resubmits after a transient submission error', async () => {
+    submit.mockRejectedValueOnce(apiError(503, 'UNAVAILABLE'));
+
+    const { jobId } = await veoService.generateFromText({ prompt: 'A lighthouse at dusk' }, user);
+    const job = await settled(jobId);
+
+    expect(job).toMatchObject({ status: 'COMPLETED', attempts: 2 });
+    expect(submit).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps polling the same operation after a transient polling error', async () => {
+    poll.mockRejectedValueOnce(networkError('ECONNRESET'));
+
+    const { jobId } = await veoService.generateFromText({ prompt: 'A lighthouse at dusk' }, user);
+    const job = await settled(jobId);
+
+    expect(job).toMatchObject({ status: 'COMPLETED', attempts: 1 });
+    expect(submit).toHaveBeenCalledTimes(1);
+    expect(cancel).not.toHaveBeenCalled();
+
+    const operationName = (await submit.mock.results[0].value).name;
+    expect(poll.mock.calls.every(([name]) => name === operationName)).toBe(true);
+    expect(poll.mock.calls.length).toBeGreaterThanOrEqual(2);
+  });
+
+  it('fails without resubmitting when polling hits a permanent error', async () => {
+    poll.mockRejectedValue(apiError(404, 'NOT_FOUND'));
+
+    const { jobId } = await veoService.generateFromText({ prompt: 'A lighthouse at dusk' }, user);
+    const job = await settled(jobId);
+
+    expect(job).toMatchObject({ status: 'FAILED', attempts: 1, error: { code: 'NOT_FOUND', retryable: false } });
+    expect(submit).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails without resubmitting when the operation itself fails', async () => {
+    const { jobId } = await veoService.generateFromText({ prompt: 'A lighthouse at dusk [mock:error]' }, user);
+    const job = await settled(jobId);
+
+    expect(job).toMatchObject({ status: 'FAILED', attempts: 1, error: { code: 'INTERNAL' } });
+    expect(submit).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('veoService batches', () => {
+  const items = [
+    { mode: 'TEXT_TO_VIDEO', params: { prompt: 'A lighthouse at dusk' } },
+    { mode: 'TEXT_TO_VIDEO', params: { prompt: 'Waves on a rocky shore', sampleCount: 2 } },
+    { mode: 'TEXT_TO_VIDEO', params: { prompt: 'Gulls over a harbour' } },
+  ];
+
+  const reserve = async () => (await quotaService.reserveQuotaBatch(
+    user.uid,
+    items.map(({ params }) => params.sampleCount || 1)
+  )).reservations;
+
+  beforeEach(async () => {
+    await quotaService.resetQuota(user.uid);
+  });
+
+  it('starts every item and rolls their statuses up', async () => {
+    const reservations = await reserve();
+
+    const { batchId, jobs } = await veoService.generateBatch(items, user, { quotaReservations: reservations });
+
+    expect(jobs).toHaveLength(3);
+    await Promise.all(jobs.map(({ jobId }) => settled(jobId)));
+
+    const batch = await veoService.getBatchStatus(batchId, user.uid);
+    expect(batch).toMatchObject({ status: 'COMPLETED', counts: { COMPLETED: 3 } });
+    expect(batch.jobs.map((job) => job.batchIndex)).toEqual([0, 1, 2]);
+    expect(batch.jobs.map((job) => job.quota.reservationId))
+      .toEqual(reservations.map(({ reservationId }) => reservationId));
+    expect(await veoService.getBatchStatus(batchId, 'someone-else')).toBeNull();
+  });
+
+  it('starts nothing and releases all quota when an item cannot be created', async () => {
+    const submit = jest.spyOn(videoProvider, 'predictLongRunning');
+    const put = jobStore.put.bind(jobStore);
+    const created = [];
+    // The third item's job record cannot be saved
+    jest.spyOn(jobStore, 'put').mockImplementation(async (jobId, ...rest) => {
+      if (created.length === 2) throw new Error('Job store unavailable');
+      created.push(jobId);
+      return put(jobId, ...rest);
+    });
+
+    await expect(veoService.generateBatch(items, user, { quotaReservations: await reserve() }))
+      .rejects.toThrow('Job store unavailable');
+
+    expect(created).toHaveLength(2);
+    for (const jobId of created) {
+      expect(await jobStore.get(jobId)).toBeNull();
+    }
+    expect((await quotaService.getQuotaUsage(user.uid)).used).toBe(0);
+
+    await sleep(20);
+    expect(submit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const { EventEmitter } = require('events');
+const https = require('https');
+const { config } = require('../../config');
+const logger = require('../../utils/logger');
+const { webhookService } = require('../webhookService');
+const { jobStore } = require('../jobStore');
+
+const SECRET = 'test-signing-secret';
+
+/**
+ * Stub https.request with responses given by status code, recording each request
+ */
+const stubRequests = (...statusCodes) => {
+  const requests = [];
+  jest.spyOn(https, 'request').mockImplementation((target, options, onResponse) => {
+    const request = new EventEmitter();
+    request.end = (body) => {
+      requests.push({ target, options, body });
+      setImmediate(() => onResponse({ statusCode: statusCodes.shift() || 200, resume: () => {} }));
+    };
+    return request;
+  });
+  return requests;
+};
+
+/**
+ * Run the webhook agent's lookup, the one its sockets connect with
+ */
+const lookupWith = (agent, hostname, options = {}) => new Promise((resolve, reject) => {
+  agent.options.lookup(hostname, options, (error, address, family) => (
+    error ? reject(error) : resolve({ address, family })
+  ));
+});
+
+const resolveTo = (...addresses) => jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+  callback(null, addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 })));
+});
+
+describe('webhookService', () => {
+  const { signingSecret, initialDelayMs } = config.webhooks;
+
+  beforeAll(() => {
+    logger.silent = true;
+    config.webhooks.signingSecret = SECRET;
+    config.webhooks.initialDelayMs = 1;
+  });
+
+  afterAll(() => {
+    logger.silent = false;
+    config.webhooks.signingSecret = signingSecret;
+    config.webhooks.initialDelayMs = initialDelayMs;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('sign', () => {
+    it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+      const body = JSON.stringify({ event: 'job.completed' });
+      const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+      expect(webhookService.sign(body, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+    });
+
+    it('changes with the body and the timestamp', () => {
+      const signature = webhookService.sign('{}', 1700000000);
+
+      expect(signature).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+      expect(webhookService.sign('{ }', 1700000000)).not.toBe(signature);
+      expect(webhookService.sign('{}', 1700000001).split(',')[1]).not.toBe(signature.split(',')[1]);
+    });
+  });
+
+  describe('post', () => {
+    it('sends a signed body the receiver can verify', async () => {
+      const requests = stubRequests(204);
+
+      const entry = await webhookService.attemptDelivery('https://hooks.example.com/veo', '{"id":"d-1"}', {
+        deliveryId: 'd-1',
+        event: 'job.completed',
+        attempt: 1,
+      });
+
+      expect(entry).toMatchObject({ attempt: 1, statusCode: 204, success: true, retryable: false });
+
+      const [{ options, body }] = requests;
+      expect(options.headers).toMatchObject({
+        'X-Veo-Event': 'job.completed',
+        'X-Veo-Delivery': 'd-1',
+        'Content-Length': Buffer.byteLength(body),
+      });
+      const [, timestamp, signature] = options.headers['X-Veo-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+      expect(signature).toBe(crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex'));
+    });
+
+    it.each([
+      'https://127.0.0.1/hook',
+      'https://10.0.0.8/hook',
+      'https://[::1]/hook',
+      'https://[::ffff:169.254.169.254]/hook',
+    ])('refuses the internal IP literal in %s without connecting', async (url) => {
+      const requests = stubRequests();
+
+      await expect(webhookService.post(url, '{}', {})).rejects.toMatchObject({ unsafeTarget: true });
+      expect(requests).toHaveLength(0);
+    });
+
+    it('connects through an agent that checks resolved addresses', async () => {
+      const requests = stubRequests();
+      await webhookService.post('https://hooks.example.com/veo', '{}', {});
+      const { agent } = requests[0].options;
+
+      resolveTo('203.0.113.10');
+      expect(await lookupWith(agent, 'hooks.example.com')).toEqual({ address: '203.0.113.10', family: 4 });
+
+      resolveTo('203.0.113.10', '10.0.0.8');
+      await expect(lookupWith(agent, 'hooks.example.com')).rejects.toMatchObject({ unsafeTarget: true });
+    });
+
+    it('connects to the address it checked, so a rebinding to an internal address is refused', async () => {
+      const requests = stubRequests();
+      await webhookService.post('https://hooks.example.com/veo', '{}', {});
+      const { agent } = requests[0].options;
+
+      // A DNS name that answers with a public address first and an internal one afterwards
+      const answers = ['203.0.113.10', '127.0.0.1'];
+      const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: answers.shift(), family: 4 }]);
+      });
+
+      expect(await lookupWith(agent, 'rebind.example.com')).toEqual({ address: '203.0.113.10', family: 4 });
+      await expect(lookupWith(agent, 'rebind.example.com')).rejects.toMatchObject({ unsafeTarget: true });
+
+      // Each connection resolves once and uses that result; nothing resolves the name again
+      expect(lookup).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('notify', () => {
+    const storeJob = (jobId, callbackUrl) => jobStore.put(jobId, {
+      userId: 'user-1',
+      status: 'COMPLETED',
+      mode: 'TEXT_TO_VIDEO',
+      createdAt: new Date().toISOString(),
+      callbackUrl,
+    });
+
+    it('retries retryable responses and records every attempt', async () => {
+      const job = await storeJob('webhook-retry', 'https://hooks.example.com/veo');
+      stubRequests(503, 200);
+
+      await webhookService.notify(job);
+
+      const { webhook } = await jobStore.get(job.jobId);
+      expect(webhook).toMatchObject({ event: 'job.completed', status: 'DELIVERED' });
+      expect(webhook.deliveries.map(({ statusCode, success }) => ({ statusCode, success }))).toEqual([
+        { statusCode: 503, success: false },
+        { statusCode: 200, success: true },
+      ]);
+    });
+
+    it('does not retry receiver rejections', async () => {
+      const job = await storeJob('webhook-rejected', 'https://hooks.example.com/veo');
+      stubRequests(400);
+
+      await webhookService.notify(job);
+
+      const { webhook } = await jobStore.get(job.jobId);
+      expect(webhook.status).toBe('FAILED');
+      expect(webhook.deliveries).toHaveLength(1);
+    });
+
+    it('gives up at once on an internal target', async () => {
+      const job = await storeJob('webhook-internal', 'https://169.254.169.254/hook');
+      const requests = stubRequests();
+
+      await webhookService.notify(job);
+
+      const { webhook } = await jobStore.get(job.jobId);
+      expect(webhook.status).toBe('FAILED');
+      expect(webhook.deliveries).toEqual([
+        expect.objectContaining({ success: false, retryable: false, error: expect.stringMatching(/internal address/) }),
+      ]);
+      expect(requests).toHaveLength(0);
+    });
+  });
+});
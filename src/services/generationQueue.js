@@ -0,0 +1,179 @@
+const { config } = require('../config');
+
+/**
+ * In-process work queue for Veo generations
+ *
+ * Limits how many generations run at once on this instance, overall and per user,
+ * and starts waiting work by priority class, then arrival order.
+ */
+class GenerationQueue {
+  constructor(options = config.queue) {
+    this.concurrency = options.concurrency;
+    this.perUserConcurrency = options.perUserConcurrency;
+    this.priorityClasses = options.priorityClasses;
+    // Running average of how long a generation holds a slot, used for start estimates
+    this.averageRunMs = options.estimatedRunMs;
+
+    this.waiting = [];
+    this.running = new Map(); // jobId -> { userId, startedAt }
+    this.sequence = 0;
+    this.paused = false;
+    this.idleListeners = [];
+  }
+
+  /**
+   * Map a user's plan to a priority rank (lower runs first)
+   * Unknown plans get the lowest priority.
+   */
+  getPriorityRank(priorityClass) {
+    const rank = this.priorityClasses.indexOf(priorityClass);
+    return rank === -1 ? this.priorityClasses.length : rank;
+  }
+
+  /**
+   * Queue a generation
+   * @param {Object} entry
+   * @param {string} entry.jobId - Job ID
+   * @param {string} entry.userId - Owner UID
+   * @param {string} entry.priorityClass - Priority class, e.g. 'paid' or 'free'
+   * @param {Function} entry.run - Async function that performs the generation
+   * @returns {Promise} Settles with the result of run()
+   */
+  enqueue({ jobId, userId, priorityClass, run }) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({
+        jobId,
+        userId,
+        run,
+        resolve,
+        reject,
+        rank: this.getPriorityRank(priorityClass),
+        sequence: this.sequence++,
+      });
+      this.waiting.sort((a, b) => a.rank - b.rank || a.sequence - b.sequence);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Drop a job that has not started yet
+   * @returns {boolean} Whether the job was waiting in this queue
+   */
+  remove(jobId, reason) {
+    const index = this.waiting.findIndex((entry) => entry.jobId === jobId);
+    if (index === -1) return false;
+
+    const [entry] = this.waiting.splice(index, 1);
+    entry.reject(reason);
+    return true;
+  }
+
+  runningCountFor(userId) {
+    let count = 0;
+    for (const running of this.running.values()) {
+      if (running.userId === userId) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Start waiting jobs while there is capacity
+   */
+  dispatch() {
+    while (!this.paused && this.running.size < this.concurrency) {
+      const index = this.waiting.findIndex(
+        (entry) => this.runningCountFor(entry.userId) < this.perUserConcurrency
+      );
+      if (index === -1) return;
+
+      const [entry] = this.waiting.splice(index, 1);
+      this.start(entry);
+    }
+  }
+
+  start(entry) {
+    const startedAt = Date.now();
+    this.running.set(entry.jobId, { userId: entry.userId, startedAt });
+
+    Promise.resolve()
+      .then(() => entry.run())
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.running.delete(entry.jobId);
+        this.recordRunTime(Date.now() - startedAt);
+        this.dispatch();
+        if (this.running.size === 0) {
+          this.idleListeners.splice(0).forEach((listener) => listener());
+        }
+      });
+  }
+
+  /**
+   * Stop starting waiting jobs; running jobs are left to finish
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Wait until no job is running
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<boolean>} Whether the queue went idle before the timeout
+   */
+  waitForIdle(timeoutMs) {
+    if (this.running.size === 0) return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+      let timer = null;
+      const onIdle = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+
+      timer = setTimeout(() => {
+        this.idleListeners = this.idleListeners.filter((listener) => listener !== onIdle);
+        resolve(false);
+      }, timeoutMs);
+      this.idleListeners.push(onIdle);
+    });
+  }
+
+  recordRunTime(durationMs) {
+    // Exponential moving average so estimates follow current Vertex latency
+    this.averageRunMs = Math.round(this.averageRunMs * 0.8 + durationMs * 0.2);
+  }
+
+  /**
+   * Get a waiting job's 1-based position, or null if it is not waiting here
+   */
+  getPosition(jobId) {
+    const index = this.waiting.findIndex((entry) => entry.jobId === jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Estimate when a job at the given position will start
+   * @returns {string|null} ISO timestamp
+   */
+  estimateStartAt(position) {
+    if (!position) return null;
+
+    const rounds = Math.ceil(position / this.concurrency);
+    return new Date(Date.now() + rounds * this.averageRunMs).toISOString();
+  }
+
+  getStats() {
+    return {
+      waiting: this.waiting.length,
+      running: this.running.size,
+      concurrency: this.concurrency,
+      paused: this.paused,
+      averageRunMs: this.averageRunMs,
+    };
+  }
+}
+
+module.exports = {
+  generationQueue: new GenerationQueue(),
+  GenerationQueue,
+};
@@ -0,0 +1,346 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryJobStore } = require('../memoryJobStore');
+const { FileJobStore } = require('../fileJobStore');
+const { FirestoreJobStore } = require('../firestoreJobStore');
+const { RedisJobStore } = require('../redisJobStore');
+
+// Firestore runs against the in-memory stand-in in __mocks__, Redis against ioredis-mock
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+/**
+ * Behaviour every job store adapter must share
+ */
+
+const TTL_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Each store gets its own collection or key prefix so tests do not see each other's jobs
+let storeCount = 0;
+
+const adapters = [
+  ['MemoryJobStore', (options) => new MemoryJobStore({ ttlMs: TTL_MS, ...options })],
+  ['FileJobStore', (options) => new FileJobStore({
+    ttlMs: TTL_MS,
+    directory: fs.mkdtempSync(path.join(os.tmpdir(), 'veo-job-store-test-')),
+    ...options,
+  })],
+  ['FirestoreJobStore', (options) => new FirestoreJobStore({
+    ttlMs: TTL_MS,
+    collection: `jobs-${++storeCount}`,
+    ...options,
+  })],
+  ['RedisJobStore', (options) => new RedisJobStore({
+    ttlMs: TTL_MS,
+    keyPrefix: `veo-test-${++storeCount}:`,
+    ...options,
+  })],
+];
+
+const job = (fields = {}) => ({
+  userId: 'user-1',
+  status: 'QUEUED',
+  mode: 'TEXT_TO_VIDEO',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  ...fields,
+});
+
+/**
+ * Resolve with the first value a subscriber receives that passes the check.
+ * Firestore also delivers the current state on subscribe.
+ */
+const nextChange = (store, jobId, check) => new Promise((resolve) => {
+  const unsubscribe = store.subscribe(jobId, (value) => {
+    if (!check(value)) return;
+    unsubscribe();
+    resolve(value);
+  });
+});
+
+describe.each(adapters)('%s', (name, createStore) => {
+  const stores = [];
+  const open = (options) => {
+    const store = createStore(options);
+    stores.push(store);
+    return store;
+  };
+
+  let store;
+
+  beforeEach(() => {
+    store = open();
+  });
+
+  afterEach(async () => {
+    await Promise.all(stores.splice(0).map(async (opened) => {
+      if (opened.directory) {
+        await fs.promises.rm(opened.directory, { recursive: true, force: true });
+      }
+      [opened.client, opened.subscriber].forEach((connection) => connection && connection.disconnect());
+    }));
+  });
+
+  describe('put and get', () => {
+    it('returns null for a missing job', async () => {
+      expect(await store.get('missing')).toBeNull();
+    });
+
+    it('stores a job under its ID and drops undefined fields', async () => {
+      const stored = await store.put('job-1', job({ error: undefined }));
+
+      expect(stored).toEqual({ ...job(), jobId: 'job-1' });
+      expect(await store.get('job-1')).toEqual(stored);
+    });
+
+    it('replaces an existing job', async () => {
+      await store.put('job-1', job({ prompt: 'first' }));
+      await store.put('job-1', job({ status: 'PROCESSING' }));
+
+      expect(await store.get('job-1')).toEqual({ ...job({ status: 'PROCESSING' }), jobId: 'job-1' });
+    });
+
+    it('hides jobs once their TTL has passed', async () => {
+      await store.put('job-1', job(), { ttlMs: 1 });
+      await sleep(10);
+
+      expect(await store.get('job-1')).toBeNull();
+    });
+
+    it('keeps records without a TTL until they are deleted', async () => {
+      const permanent = open({ ttlMs: null });
+      await permanent.put('job-1', job());
+
+      expect(await permanent.deleteExpired()).toBe(0);
+      expect(await permanent.get('job-1')).not.toBeNull();
+    });
+
+    it('stores the ID under idField', async () => {
+      const presets = open({ idField: 'presetId' });
+
+      expect(await presets.put('preset-1', { name: 'Moody' })).toEqual({ name: 'Moody', presetId: 'preset-1' });
+      expect(await presets.update('preset-1', { name: 'Moodier' })).toEqual({ name: 'Moodier', presetId: 'preset-1' });
+    });
+  });
+
+  describe('create', () => {
+    it('stores a job when the ID is free', async () => {
+      expect(await store.create('job-1', job())).toEqual({ ...job(), jobId: 'job-1' });
+      expect(await store.get('job-1')).toEqual({ ...job(), jobId: 'job-1' });
+    });
+
+    it('returns null and keeps the existing job when the ID is taken', async () => {
+      await store.create('job-1', job({ prompt: 'first' }));
+
+      expect(await store.create('job-1', job({ prompt: 'second' }))).toBeNull();
+      expect((await store.get('job-1')).prompt).toBe('first');
+    });
+
+    it('only lets one of several concurrent creates through', async () => {
+      const results = await Promise.all([1, 2, 3].map((attempt) => store.create('job-1', job({ attempt }))));
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+    });
+
+    it('reuses the ID of an expired job', async () => {
+      await store.put('job-1', job(), { ttlMs: 1 });
+      await sleep(10);
+
+      expect(await store.create('job-1', job({ prompt: 'again' }))).not.toBeNull();
+    });
+  });
+
+  describe('update', () => {
+    it('merges top-level fields', async () => {
+      await store.put('job-1', job({ params: { prompt: 'a', seed: 1 } }));
+
+      const updated = await store.update('job-1', { status: 'PROCESSING', params: { prompt: 'b' } });
+
+      expect(updated).toEqual({ ...job({ status: 'PROCESSING', params: { prompt: 'b' } }), jobId: 'job-1' });
+      expect(await store.get('job-1')).toEqual(updated);
+    });
+
+    it('returns null for a missing job without creating it', async () => {
+      expect(await store.update('missing', { status: 'FAILED' })).toBeNull();
+      expect(await store.get('missing')).toBeNull();
+    });
+
+    it('keeps the original TTL', async () => {
+      await store.put('job-1', job(), { ttlMs: 50 });
+      await store.update('job-1', { status: 'PROCESSING' });
+      await sleep(60);
+
+      expect(await store.get('job-1')).toBeNull();
+    });
+
+    it('applies only when ifStatus matches the current status', async () => {
+      await store.put('job-1', job());
+
+      expect(await store.update('job-1', { status: 'FAILED' }, { ifStatus: ['PROCESSING'] })).toBeNull();
+      expect((await store.get('job-1')).status).toBe('QUEUED');
+
+      expect(await store.update('job-1', { status: 'PROCESSING' }, { ifStatus: ['QUEUED', 'PROCESSING'] }))
+        .toMatchObject({ status: 'PROCESSING' });
+    });
+
+    it('applies only when ifMatch fields hold the given values', async () => {
+      await store.put('job-1', job({ checkpointedAt: '2026-01-01T00:05:00.000Z' }));
+
+      expect(await store.update('job-1', { checkpointedAt: null }, {
+        ifMatch: { checkpointedAt: '2026-01-01T00:00:00.000Z' },
+      })).toBeNull();
+
+      expect(await store.update('job-1', { checkpointedAt: null }, {
+        ifMatch: { checkpointedAt: '2026-01-01T00:05:00.000Z' },
+      })).toMatchObject({ checkpointedAt: null });
+
+      // The first claim cleared the field, so a second one fails
+      expect(await store.update('job-1', { checkpointedAt: null }, {
+        ifMatch: { checkpointedAt: '2026-01-01T00:05:00.000Z' },
+      })).toBeNull();
+    });
+
+    it('treats a missing field as null for ifMatch', async () => {
+      await store.put('job-1', job());
+
+      expect(await store.update('job-1', { status: 'EXPIRED' }, { ifMatch: { videoDeletedAt: null } }))
+        .toMatchObject({ status: 'EXPIRED' });
+    });
+  });
+
+  describe('list', () => {
+    const seed = async () => {
+      await store.put('a', job({ createdAt: '2026-01-01T00:00:00.000Z' }));
+      await store.put('b', job({ createdAt: '2026-01-02T00:00:00.000Z', status: 'COMPLETED', batchId: 'batch-1' }));
+      await store.put('c', job({ createdAt: '2026-01-02T00:00:00.000Z', mode: 'IMAGE_TO_VIDEO', batchId: 'batch-1' }));
+      await store.put('d', job({ createdAt: '2026-01-03T00:00:00.000Z', status: 'FAILED' }));
+      await store.put('e', job({ createdAt: '2026-01-04T00:00:00.000Z', userId: 'user-2' }));
+    };
+
+    const ids = (jobs) => jobs.map(({ jobId }) => jobId).sort();
+
+    beforeEach(seed);
+
+    it('lists every job without a filter', async () => {
+      expect(ids(await store.list())).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('filters by owner', async () => {
+      expect(ids(await store.list({ userId: 'user-1' }))).toEqual(['a', 'b', 'c', 'd']);
+      expect(ids(await store.list({ userId: 'user-2' }))).toEqual(['e']);
+      expect(await store.list({ userId: 'nobody' })).toEqual([]);
+    });
+
+    it('filters by one or more statuses', async () => {
+      expect(ids(await store.list({ status: 'QUEUED' }))).toEqual(['a', 'c', 'e']);
+      expect(ids(await store.list({ status: ['COMPLETED', 'FAILED'] }))).toEqual(['b', 'd']);
+    });
+
+    it('filters by mode and batch', async () => {
+      expect(ids(await store.list({ mode: 'IMAGE_TO_VIDEO' }))).toEqual(['c']);
+      expect(ids(await store.list({ batchId: 'batch-1' }))).toEqual(['b', 'c']);
+    });
+
+    it('filters by creation time, inclusive from and exclusive to', async () => {
+      expect(ids(await store.list({
+        createdFrom: '2026-01-02T00:00:00.000Z',
+        createdTo: '2026-01-04T00:00:00.000Z',
+      }))).toEqual(['b', 'c', 'd']);
+    });
+
+    it('combines filters', async () => {
+      expect(ids(await store.list({ userId: 'user-1', status: 'QUEUED', batchId: 'batch-1' }))).toEqual(['c']);
+    });
+
+    it('leaves out expired and deleted jobs', async () => {
+      await store.put('f', job(), { ttlMs: 1 });
+      await store.delete('a');
+      await sleep(10);
+
+      expect(ids(await store.list({ userId: 'user-1' }))).toEqual(['b', 'c', 'd']);
+    });
+
+    it('pages newest first by default, breaking ties by ID', async () => {
+      const first = await store.list({ userId: 'user-1' }, { limit: 2 });
+      expect(first.map(({ jobId }) => jobId)).toEqual(['d', 'c']);
+
+      const last = first[first.length - 1];
+      const second = await store.list({ userId: 'user-1' }, {
+        limit: 2,
+        after: { createdAt: last.createdAt, id: last.jobId },
+      });
+      expect(second.map(({ jobId }) => jobId)).toEqual(['b', 'a']);
+    });
+
+    it('pages oldest first', async () => {
+      const page = await store.list({ userId: 'user-1' }, {
+        order: 'asc',
+        limit: 10,
+        after: { createdAt: '2026-01-02T00:00:00.000Z', id: 'b' },
+      });
+
+      expect(page.map(({ jobId }) => jobId)).toEqual(['c', 'd']);
+    });
+
+    it('applies filters before cutting a page', async () => {
+      const page = await store.list({ status: 'QUEUED' }, { limit: 2 });
+
+      expect(page.map(({ jobId }) => jobId)).toEqual(['e', 'c']);
+    });
+  });
+
+  describe('delete', () => {
+    it('reports whether a job was deleted', async () => {
+      await store.put('job-1', job());
+
+      expect(await store.delete('job-1')).toBe(true);
+      expect(await store.delete('job-1')).toBe(false);
+      expect(await store.get('job-1')).toBeNull();
+    });
+  });
+
+  describe('deleteExpired', () => {
+    it('removes only expired jobs', async () => {
+      await store.put('short', job(), { ttlMs: 1 });
+      await store.put('long', job());
+      await sleep(10);
+
+      expect(await store.deleteExpired()).toBe(1);
+      expect(await store.get('long')).not.toBeNull();
+      expect(await store.deleteExpired()).toBe(0);
+    });
+  });
+
+  describe('subscribe', () => {
+    // The file store polls once a second
+    const timeout = 10000;
+
+    it('notifies listeners of updates and deletion', async () => {
+      await store.put('job-1', job());
+
+      const updated = nextChange(store, 'job-1', (value) => value && value.status === 'PROCESSING');
+      await sleep(10);
+      await store.update('job-1', { status: 'PROCESSING' });
+      expect(await updated).toMatchObject({ jobId: 'job-1', status: 'PROCESSING' });
+
+      const deleted = nextChange(store, 'job-1', (value) => value === null);
+      await sleep(10);
+      await store.delete('job-1');
+      expect(await deleted).toBeNull();
+    }, timeout);
+
+    it('stops notifying after unsubscribe', async () => {
+      await store.put('job-1', job());
+
+      const listener = jest.fn();
+      const unsubscribe = store.subscribe('job-1', listener);
+      unsubscribe();
+
+      await store.update('job-1', { status: 'PROCESSING' });
+      await sleep(store instanceof FileJobStore ? 1500 : 10);
+
+      expect(listener).not.toHaveBeenCalled();
+    }, timeout);
+  });
+});
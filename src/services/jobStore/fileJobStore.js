@@ -0,0 +1,209 @@
+const fs = require('fs/promises');
+const { watchFile, unwatchFile } = require('fs');
+const path = require('path');
+const {
+  JobStore,
+  isExpired,
+  matchesFilter,
+  paginate,
+  meetsPrecondition,
+} = require('./jobStore');
+
+/**
+ * File-backed job store for local development and tests.
+ * Each job is kept in its own JSON file: { job, expiresAt }, expiresAt is null for no expiry.
+ * An empty users/<uid>/<jobId> file per job indexes jobs by owner.
+ * Writes are serialized per job within this process and land atomically via rename.
+ */
+class FileJobStore extends JobStore {
+  constructor(options = {}) {
+    super(options);
+    this.directory = options.directory;
+    this.locks = new Map();
+    this.ready = null;
+  }
+
+  ensureDirectory() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.directory, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  filePath(jobId) {
+    // Job IDs are UUIDs; strip anything else so a bad ID cannot escape the directory
+    return path.join(this.directory, `${String(jobId).replace(/[^a-zA-Z0-9-]/g, '')}.json`);
+  }
+
+  userDirectory(userId) {
+    // base64url keeps any UID a single safe path segment
+    return path.join(this.directory, 'users', Buffer.from(String(userId)).toString('base64url'));
+  }
+
+  userIndexPath(userId, jobId) {
+    return path.join(this.userDirectory(userId), path.basename(this.filePath(jobId), '.json'));
+  }
+
+  async addToUserIndex(userId, jobId) {
+    if (!userId) return;
+    await fs.mkdir(this.userDirectory(userId), { recursive: true });
+    await fs.writeFile(this.userIndexPath(userId, jobId), '');
+  }
+
+  async removeFromUserIndex(userId, jobId) {
+    if (!userId) return;
+    await fs.rm(this.userIndexPath(userId, jobId), { force: true });
+  }
+
+  /**
+   * Run a read-modify-write for one job without interleaving other writes
+   */
+  async withLock(jobId, fn) {
+    const previous = this.locks.get(jobId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.locks.set(jobId, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(jobId) === current) {
+        this.locks.delete(jobId);
+      }
+    }
+  }
+
+  async readRecord(jobId) {
+    try {
+      const raw = await fs.readFile(this.filePath(jobId), 'utf8');
+      const record = JSON.parse(raw);
+
+      if (isExpired(record.expiresAt)) {
+        await fs.rm(this.filePath(jobId), { force: true });
+        await this.removeFromUserIndex(record.job.userId, jobId);
+        return null;
+      }
+
+      return record;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeRecord(jobId, record) {
+    await this.ensureDirectory();
+    const target = this.filePath(jobId);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(record));
+    await fs.rename(temp, target);
+  }
+
+  async get(jobId) {
+    const record = await this.readRecord(jobId);
+    return record ? record.job : null;
+  }
+
+  async put(jobId, job, options = {}) {
+    return this.withLock(jobId, () => this.writeJob(jobId, job, options));
+  }
+
+  async create(jobId, job, options = {}) {
+    return this.withLock(jobId, async () => {
+      if (await this.readRecord(jobId)) return null;
+      return this.writeJob(jobId, job, options);
+    });
+  }
+
+  async writeJob(jobId, job, options) {
+    const stored = this.withId(jobId, job);
+    await this.writeRecord(jobId, {
+      job: stored,
+      expiresAt: this.resolveExpiresAt(options),
+    });
+    await this.addToUserIndex(stored.userId, jobId);
+    return stored;
+  }
+
+  async update(jobId, updates, options = {}) {
+    return this.withLock(jobId, async () => {
+      const record = await this.readRecord(jobId);
+      if (!record || !meetsPrecondition(record.job, options)) return null;
+
+      record.job = this.withId(jobId, { ...record.job, ...updates });
+      await this.writeRecord(jobId, record);
+      return record.job;
+    });
+  }
+
+  async listJobIds() {
+    await this.ensureDirectory();
+    const entries = await fs.readdir(this.directory);
+    return entries
+      .filter((entry) => entry.endsWith('.json'))
+      .map((entry) => entry.slice(0, -'.json'.length));
+  }
+
+  async listUserJobIds(userId) {
+    try {
+      return await fs.readdir(this.userDirectory(userId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async list(filter = {}, page = null) {
+    const jobIds = filter.userId ? await this.listUserJobIds(filter.userId) : await this.listJobIds();
+
+    const jobs = [];
+    for (const jobId of jobIds) {
+      const record = await this.readRecord(jobId);
+      if (!record && filter.userId) {
+        // Deleted without its index entry, e.g. by another process mid-write
+        await this.removeFromUserIndex(filter.userId, jobId);
+      } else if (record && matchesFilter(record.job, filter)) {
+        jobs.push(record.job);
+      }
+    }
+    return paginate(jobs, page, this.idField);
+  }
+
+  async delete(jobId) {
+    return this.withLock(jobId, async () => {
+      const existing = await this.readRecord(jobId);
+      await fs.rm(this.filePath(jobId), { force: true });
+      if (existing) {
+        await this.removeFromUserIndex(existing.job.userId, jobId);
+      }
+      return !!existing;
+    });
+  }
+
+  async deleteExpired() {
+    let removed = 0;
+    for (const jobId of await this.listJobIds()) {
+      // readRecord removes the file when the record has expired
+      const exists = await fs.stat(this.filePath(jobId)).then(() => true, () => false);
+      if (exists && !(await this.readRecord(jobId))) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Poll the job file for changes; this also sees writes from other processes
+   */
+  subscribe(jobId, listener) {
+    const target = this.filePath(jobId);
+    const onChange = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      this.get(jobId).then(listener, () => {});
+    };
+
+    watchFile(target, { interval: 1000 }, onChange);
+    return () => unwatchFile(target, onChange);
+  }
+}
+
+module.exports = { FileJobStore };
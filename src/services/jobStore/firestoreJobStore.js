@@ -0,0 +1,191 @@
+const admin = require('firebase-admin');
+const logger = require('../../utils/logger');
+const {
+  JobStore,
+  matchesFilter,
+  meetsPrecondition,
+} = require('./jobStore');
+
+// Firestore TTL policies should be configured on this field so expired jobs are
+// removed server-side: gcloud firestore fields ttls update expireAt --collection-group=<collection>
+const EXPIRE_FIELD = 'expireAt';
+
+/**
+ * Firestore-backed job store. Shared by every Cloud Run instance.
+ */
+class FirestoreJobStore extends JobStore {
+  constructor(options = {}) {
+    super(options);
+    this.collectionName = options.collection;
+  }
+
+  /**
+   * Resolve the collection lazily so Firebase Admin is initialized first
+   */
+  get collection() {
+    return admin.firestore().collection(this.collectionName);
+  }
+
+  /**
+   * Convert a snapshot to a job, hiding TTL bookkeeping and expired records
+   */
+  fromSnapshot(snapshot) {
+    if (!snapshot.exists) return null;
+
+    const { [EXPIRE_FIELD]: expireAt, ...job } = snapshot.data();
+    if (expireAt && expireAt.toMillis() <= Date.now()) {
+      return null;
+    }
+
+    return job;
+  }
+
+  async get(jobId) {
+    const snapshot = await this.collection.doc(jobId).get();
+    return this.fromSnapshot(snapshot);
+  }
+
+  /**
+   * Build the document for a write, with the TTL field when the record expires
+   */
+  toDocument(stored, options) {
+    const expiresAt = this.resolveExpiresAt(options);
+    return {
+      ...stored,
+      ...(expiresAt && { [EXPIRE_FIELD]: admin.firestore.Timestamp.fromMillis(expiresAt) }),
+    };
+  }
+
+  async put(jobId, job, options = {}) {
+    const stored = this.withId(jobId, job);
+    await this.collection.doc(jobId).set(this.toDocument(stored, options));
+    return stored;
+  }
+
+  async create(jobId, job, options = {}) {
+    const docRef = this.collection.doc(jobId);
+
+    // A transaction rather than docRef.create(): expired documents may not be removed yet
+    return admin.firestore().runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(docRef);
+      if (this.fromSnapshot(snapshot)) return null;
+
+      const stored = this.withId(jobId, job);
+      transaction.set(docRef, this.toDocument(stored, options));
+      return stored;
+    });
+  }
+
+  async update(jobId, updates, options = {}) {
+    const docRef = this.collection.doc(jobId);
+
+    return admin.firestore().runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(docRef);
+      const existing = this.fromSnapshot(snapshot);
+      if (!existing || !meetsPrecondition(existing, options)) return null;
+
+      const fields = this.withId(jobId, updates);
+      // mergeFields replaces whole top-level fields, matching the other adapters
+      transaction.set(docRef, fields, { mergeFields: Object.keys(fields) });
+      return { ...existing, ...fields };
+    });
+  }
+
+  async list(filter = {}, page = null) {
+    let query = this.collection;
+
+    if (filter.userId) {
+      query = query.where('userId', '==', filter.userId);
+    }
+    if (filter.status) {
+      const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+      query = query.where('status', 'in', statuses);
+    }
+    if (filter.mode) {
+      query = query.where('mode', '==', filter.mode);
+    }
+    if (filter.batchId) {
+      query = query.where('batchId', '==', filter.batchId);
+    }
+
+    if (!page) {
+      // Date ranges are applied here so full listings need no composite indexes
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map((doc) => this.fromSnapshot(doc))
+        .filter((job) => job && matchesFilter(job, filter));
+    }
+
+    // Pages are read in createdAt, document ID order and need a composite index
+    // per filter combination (see DEPLOYMENT.md)
+    if (filter.createdFrom) {
+      query = query.where('createdAt', '>=', new Date(filter.createdFrom).toISOString());
+    }
+    if (filter.createdTo) {
+      query = query.where('createdAt', '<', new Date(filter.createdTo).toISOString());
+    }
+
+    const direction = page.order === 'asc' ? 'asc' : 'desc';
+    const ordered = query
+      .orderBy('createdAt', direction)
+      .orderBy(admin.firestore.FieldPath.documentId(), direction)
+      .limit(page.limit);
+
+    // Expired documents may not be removed yet; keep reading until the page is full
+    const jobs = [];
+    let batch = page.after ? ordered.startAfter(page.after.createdAt, page.after.id) : ordered;
+    for (;;) {
+      const snapshot = await batch.get();
+
+      for (const doc of snapshot.docs) {
+        const job = this.fromSnapshot(doc);
+        if (!job) continue;
+        jobs.push(job);
+        if (jobs.length === page.limit) return jobs;
+      }
+
+      if (snapshot.size < page.limit) return jobs;
+      batch = ordered.startAfter(snapshot.docs[snapshot.docs.length - 1]);
+    }
+  }
+
+  async delete(jobId) {
+    const docRef = this.collection.doc(jobId);
+    const snapshot = await docRef.get();
+    if (!snapshot.exists) return false;
+
+    await docRef.delete();
+    return true;
+  }
+
+  async deleteExpired() {
+    const now = admin.firestore.Timestamp.now();
+    let removed = 0;
+
+    // Delete in batches of 500 (Firestore batch write limit)
+    for (;;) {
+      const snapshot = await this.collection
+        .where(EXPIRE_FIELD, '<=', now)
+        .limit(500)
+        .get();
+
+      if (snapshot.empty) break;
+
+      const batch = admin.firestore().batch();
+      snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+      removed += snapshot.size;
+    }
+
+    return removed;
+  }
+
+  subscribe(jobId, listener) {
+    return this.collection.doc(jobId).onSnapshot(
+      (snapshot) => listener(this.fromSnapshot(snapshot)),
+      (error) => logger.error('Firestore job listener failed', { jobId, error: error.message })
+    );
+  }
+}
+
+module.exports = { FirestoreJobStore };
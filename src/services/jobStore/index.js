@@ -0,0 +1,40 @@
+const { config } = require('../../config');
+const { JobStore } = require('./jobStore');
+const { MemoryJobStore } = require('./memoryJobStore');
+const { FileJobStore } = require('./fileJobStore');
+const { FirestoreJobStore } = require('./firestoreJobStore');
+const { RedisJobStore } = require('./redisJobStore');
+
+/**
+ * Create the job store adapter selected by config
+ * @param {Object} options - Job store config (see config.jobStore), plus optional
+ *   idField for stores of other records (see JobStore)
+ * @returns {JobStore}
+ */
+const createJobStore = (options = config.jobStore) => {
+  const { ttlMs, idField } = options;
+
+  switch (options.driver) {
+    case 'memory':
+      return new MemoryJobStore({ ttlMs, idField });
+    case 'file':
+      return new FileJobStore({ ttlMs, idField, directory: options.filePath });
+    case 'firestore':
+      return new FirestoreJobStore({ ttlMs, idField, collection: options.firestoreCollection });
+    case 'redis':
+      return new RedisJobStore({
+        ttlMs,
+        idField,
+        url: options.redisUrl,
+        keyPrefix: options.redisKeyPrefix,
+      });
+    default:
+      throw new Error(`Unknown job store driver: ${options.driver}`);
+  }
+};
+
+module.exports = {
+  jobStore: createJobStore(),
+  createJobStore,
+  JobStore,
+};
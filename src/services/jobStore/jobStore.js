@@ -0,0 +1,225 @@
+/**
+ * Base class for job persistence adapters.
+ *
+ * Jobs are plain JSON objects keyed by jobId. Each record is written with a
+ * TTL when created; updates merge top-level fields and keep the original TTL.
+ * All methods are async so adapters can be backed by remote services.
+ *
+ * Other records can reuse the adapters: `idField` names the field the record ID
+ * is stored under, and a null `ttlMs` keeps records until they are deleted.
+ */
+class JobStore {
+  /**
+   * @param {Object} [options]
+   * @param {number|null} [options.ttlMs] - Default time to live, null for no expiry
+   * @param {string} [options.idField] - Record field holding the ID, defaults to jobId
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs;
+    this.idField = options.idField || 'jobId';
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null if missing/expired
+   */
+  async get(jobId) {
+    throw new Error(`${this.constructor.name}.get() is not implemented`);
+  }
+
+  /**
+   * Create or replace a job
+   * @param {string} jobId - Job ID
+   * @param {Object} job - Job record
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Time to live, defaults to the store TTL
+   * @returns {Promise<Object>} Stored job
+   */
+  async put(jobId, job, options = {}) {
+    throw new Error(`${this.constructor.name}.put() is not implemented`);
+  }
+
+  /**
+   * Create a job only if none exists under this ID
+   * @param {string} jobId - Job ID
+   * @param {Object} job - Job record
+   * @param {Object} [options] - As for put()
+   * @returns {Promise<Object|null>} Stored job, or null if the ID is taken
+   */
+  async create(jobId, job, options = {}) {
+    throw new Error(`${this.constructor.name}.create() is not implemented`);
+  }
+
+  /**
+   * Merge top-level fields into an existing job
+   * @param {string} jobId - Job ID
+   * @param {Object} updates - Fields to set
+   * @param {Object} [options]
+   * @param {string[]} [options.ifStatus] - Only apply if the job's current status is one of these
+   * @param {Object} [options.ifMatch] - Only apply if these fields currently hold these scalar
+   *   values; null matches a missing field
+   * @returns {Promise<Object|null>} Updated job, or null if the job does not exist or a
+   *   precondition failed
+   */
+  async update(jobId, updates, options = {}) {
+    throw new Error(`${this.constructor.name}.update() is not implemented`);
+  }
+
+  /**
+   * List jobs matching a filter
+   * @param {Object} [filter]
+   * @param {string} [filter.userId] - Owner UID
+   * @param {string|string[]} [filter.status] - One or more statuses
+   * @param {string} [filter.mode] - Generation mode
+   * @param {string} [filter.batchId] - Batch the job belongs to
+   * @param {string} [filter.createdFrom] - ISO timestamp, inclusive lower bound on createdAt
+   * @param {string} [filter.createdTo] - ISO timestamp, exclusive upper bound on createdAt
+   * @param {Object} [page] - Return one page ordered by createdAt, then ID, instead of every match
+   * @param {string} [page.order] - asc or desc (default)
+   * @param {number} page.limit - Page size
+   * @param {{ createdAt: string, id: string }} [page.after] - Last record of the previous page
+   * @returns {Promise<Object[]>}
+   */
+  async list(filter = {}, page = null) {
+    throw new Error(`${this.constructor.name}.list() is not implemented`);
+  }
+
+  /**
+   * Delete a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} Whether a job was deleted
+   */
+  async delete(jobId) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+
+  /**
+   * Remove records whose TTL has elapsed
+   * @returns {Promise<number>} Number of records removed
+   */
+  async deleteExpired() {
+    throw new Error(`${this.constructor.name}.deleteExpired() is not implemented`);
+  }
+
+  /**
+   * Watch a job for changes, including writes made by other instances where the
+   * backend supports it
+   * @param {string} jobId - Job ID
+   * @param {Function} listener - Called with the updated job, or null once it is deleted
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    throw new Error(`${this.constructor.name}.subscribe() is not implemented`);
+  }
+
+  /**
+   * Resolve the TTL for a write
+   * @returns {number|null} Null if the record never expires
+   */
+  resolveTtl(options = {}) {
+    return options.ttlMs || this.ttlMs || null;
+  }
+
+  /**
+   * Resolve the expiry timestamp for a write
+   * @returns {number|null} Null if the record never expires
+   */
+  resolveExpiresAt(options = {}) {
+    const ttlMs = this.resolveTtl(options);
+    return ttlMs ? Date.now() + ttlMs : null;
+  }
+
+  /**
+   * Stamp a record with its ID, dropping undefined values
+   */
+  withId(id, fields) {
+    return toPlainObject({ ...fields, [this.idField]: id });
+  }
+}
+
+/**
+ * Check whether an expiry timestamp has passed; null never expires
+ */
+const isExpired = (expiresAt) => typeof expiresAt === 'number' && expiresAt <= Date.now();
+
+/**
+ * Check a job against a list filter
+ */
+const matchesFilter = (job, filter = {}) => {
+  if (filter.userId && job.userId !== filter.userId) {
+    return false;
+  }
+
+  if (filter.status) {
+    const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+    if (!statuses.includes(job.status)) {
+      return false;
+    }
+  }
+
+  if (filter.mode && job.mode !== filter.mode) {
+    return false;
+  }
+
+  if (filter.batchId && job.batchId !== filter.batchId) {
+    return false;
+  }
+
+  const createdAt = Date.parse(job.createdAt);
+  if (filter.createdFrom && !(createdAt >= Date.parse(filter.createdFrom))) {
+    return false;
+  }
+  if (filter.createdTo && !(createdAt < Date.parse(filter.createdTo))) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Order records by createdAt, then ID
+ */
+const compareCreated = (a, b) => {
+  if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? -1 : 1;
+  if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+  return 0;
+};
+
+/**
+ * Cut one list page out of every matching record (see JobStore#list)
+ * For adapters that cannot page natively.
+ */
+const paginate = (jobs, page, idField = 'jobId') => {
+  if (!page) return jobs;
+
+  const direction = page.order === 'asc' ? 1 : -1;
+  const keyOf = (job) => ({ createdAt: job.createdAt || '', id: job[idField] });
+
+  return jobs
+    .filter((job) => !page.after || compareCreated(keyOf(job), page.after) * direction > 0)
+    .sort((a, b) => compareCreated(keyOf(a), keyOf(b)) * direction)
+    .slice(0, page.limit);
+};
+
+/**
+ * Check an update's status and field preconditions against the current job
+ */
+const meetsPrecondition = (job, options = {}) => (
+  (!options.ifStatus || options.ifStatus.includes(job.status)) &&
+  Object.entries(options.ifMatch || {}).every(([field, value]) => (job[field] ?? null) === value)
+);
+
+/**
+ * Drop undefined values so records round-trip through JSON-based stores
+ */
+const toPlainObject = (value) => JSON.parse(JSON.stringify(value));
+
+module.exports = {
+  JobStore,
+  isExpired,
+  matchesFilter,
+  paginate,
+  meetsPrecondition,
+  toPlainObject,
+};
@@ -0,0 +1,129 @@
+const { EventEmitter } = require('events');
+const {
+  JobStore,
+  isExpired,
+  matchesFilter,
+  paginate,
+  meetsPrecondition,
+  toPlainObject,
+} = require('./jobStore');
+
+/**
+ * In-process job store. Jobs are lost on restart and are not shared between
+ * instances, so only use this for single-instance development.
+ */
+class MemoryJobStore extends JobStore {
+  constructor(options = {}) {
+    super(options);
+    // Structure: { [jobId]: { job: Object, expiresAt: number|null } }
+    this.records = new Map();
+    // Structure: { [userId]: Set<jobId> }, so listing one user's jobs skips everyone else's
+    this.userIndex = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  emitChange(jobId, job) {
+    this.events.emit(jobId, job ? toPlainObject(job) : null);
+  }
+
+  getRecord(jobId) {
+    const record = this.records.get(jobId);
+    if (!record) return null;
+
+    if (isExpired(record.expiresAt)) {
+      this.removeRecord(jobId);
+      return null;
+    }
+
+    return record;
+  }
+
+  removeRecord(jobId) {
+    const record = this.records.get(jobId);
+    if (!record) return false;
+
+    this.records.delete(jobId);
+    const userJobs = this.userIndex.get(record.job.userId);
+    if (userJobs) {
+      userJobs.delete(jobId);
+      if (userJobs.size === 0) this.userIndex.delete(record.job.userId);
+    }
+    return true;
+  }
+
+  async get(jobId) {
+    const record = this.getRecord(jobId);
+    return record ? toPlainObject(record.job) : null;
+  }
+
+  async put(jobId, job, options = {}) {
+    const stored = this.withId(jobId, job);
+    this.removeRecord(jobId);
+    this.records.set(jobId, {
+      job: stored,
+      expiresAt: this.resolveExpiresAt(options),
+    });
+    if (stored.userId) {
+      if (!this.userIndex.has(stored.userId)) this.userIndex.set(stored.userId, new Set());
+      this.userIndex.get(stored.userId).add(jobId);
+    }
+    this.emitChange(jobId, stored);
+    return toPlainObject(stored);
+  }
+
+  async create(jobId, job, options = {}) {
+    if (this.getRecord(jobId)) return null;
+    return this.put(jobId, job, options);
+  }
+
+  async update(jobId, updates, options = {}) {
+    const record = this.getRecord(jobId);
+    if (!record || !meetsPrecondition(record.job, options)) return null;
+
+    record.job = this.withId(jobId, { ...record.job, ...updates });
+    this.emitChange(jobId, record.job);
+    return toPlainObject(record.job);
+  }
+
+  async list(filter = {}, page = null) {
+    const jobIds = filter.userId
+      ? [...(this.userIndex.get(filter.userId) || [])]
+      : [...this.records.keys()];
+
+    const jobs = [];
+    for (const jobId of jobIds) {
+      const record = this.getRecord(jobId);
+      if (record && matchesFilter(record.job, filter)) {
+        jobs.push(toPlainObject(record.job));
+      }
+    }
+    return paginate(jobs, page, this.idField);
+  }
+
+  async delete(jobId) {
+    const deleted = this.removeRecord(jobId);
+    if (deleted) {
+      this.emitChange(jobId, null);
+    }
+    return deleted;
+  }
+
+  async deleteExpired() {
+    let removed = 0;
+    for (const [jobId, record] of this.records.entries()) {
+      if (isExpired(record.expiresAt)) {
+        this.removeRecord(jobId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  subscribe(jobId, listener) {
+    this.events.on(jobId, listener);
+    return () => this.events.off(jobId, listener);
+  }
+}
+
+module.exports = { MemoryJobStore };
@@ -0,0 +1,423 @@
+const {
+  JobStore,
+  matchesFilter,
+  paginate,
+  toPlainObject,
+} = require('./jobStore');
+const logger = require('../../utils/logger');
+
+// How many index entries a paged list reads per round trip
+const LIST_BATCH_SIZE = 100;
+
+// Set hash fields only when the job already exists so late updates cannot
+// resurrect an expired or deleted job. The key keeps its original TTL.
+// KEYS: <job key>, <status index key prefix>
+// ARGV: <job ID>, <n>, <n JSON-encoded allowed statuses>, <m>, <m field, JSON-encoded
+// value pairs that must match>, <field, value pairs...>
+// With n = 0 the status precondition is skipped; a missing field matches null.
+// A status change moves the job ID between the status index sets; statuses are plain
+// strings, so stripping the JSON quotes gives the set name.
+const UPDATE_IF_EXISTS_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return 0
+end
+local previous = redis.call('HGET', KEYS[1], 'status')
+local allowed = tonumber(ARGV[2])
+if allowed > 0 then
+  local matched = false
+  for i = 3, allowed + 2 do
+    if ARGV[i] == previous then
+      matched = true
+    end
+  end
+  if not matched then
+    return 0
+  end
+end
+local matches = tonumber(ARGV[allowed + 3])
+local first = allowed + 4
+for i = first, first + 2 * matches - 1, 2 do
+  local current = redis.call('HGET', KEYS[1], ARGV[i]) or 'null'
+  if current ~= ARGV[i + 1] then
+    return 0
+  end
+end
+redis.call('HSET', KEYS[1], unpack(ARGV, first + 2 * matches))
+local status = redis.call('HGET', KEYS[1], 'status')
+if status ~= previous then
+  if previous then
+    redis.call('SREM', KEYS[2] .. string.sub(previous, 2, -2), ARGV[1])
+  end
+  redis.call('SADD', KEYS[2] .. string.sub(status, 2, -2), ARGV[1])
+end
+return 1
+`;
+
+// Create the job hash only if the key is free. ARGV: <ttl ms, 0 for none>, <field, value pairs...>
+const CREATE_IF_ABSENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 0
+end
+redis.call('HSET', KEYS[1], unpack(ARGV, 2))
+if tonumber(ARGV[1]) > 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return 1
+`;
+
+/**
+ * Redis-backed job store. Shared by every instance pointing at the same Redis.
+ *
+ * Each job is a hash whose fields hold JSON-encoded top-level job properties,
+ * so updates are a single atomic HSET. Sorted sets index job IDs by creation
+ * time for listing, one for all jobs and one per user, and a set per status holds
+ * the IDs of jobs in that status so the scheduler's status listings do not read
+ * every job. Every write is announced on a per-job pub/sub channel so subscribers
+ * on any instance see it.
+ */
+class RedisJobStore extends JobStore {
+  constructor(options = {}) {
+    super(options);
+    this.url = options.url;
+    this.keyPrefix = options.keyPrefix;
+    this.client = null;
+    this.subscriber = null;
+    // Structure: { [channel]: Set<listener> }
+    this.listeners = new Map();
+  }
+
+  /**
+   * Connect lazily so ioredis is only required when this driver is selected
+   */
+  getClient() {
+    if (!this.client) {
+      const Redis = require('ioredis');
+      this.client = new Redis(this.url);
+      this.client.defineCommand('updateIfExists', {
+        numberOfKeys: 2,
+        lua: UPDATE_IF_EXISTS_SCRIPT,
+      });
+      this.client.defineCommand('createIfAbsent', {
+        numberOfKeys: 1,
+        lua: CREATE_IF_ABSENT_SCRIPT,
+      });
+    }
+    return this.client;
+  }
+
+  jobKey(jobId) {
+    return `${this.keyPrefix}job:${jobId}`;
+  }
+
+  indexKey() {
+    return `${this.keyPrefix}jobs`;
+  }
+
+  userIndexKey(userId) {
+    return `${this.keyPrefix}users:${userId}:jobs`;
+  }
+
+  statusIndexKey(status) {
+    return `${this.keyPrefix}status:${status}`;
+  }
+
+  /**
+   * Add a stored job to the indexes as part of a transaction
+   */
+  indexJob(transaction, jobId, job) {
+    const createdAt = Date.parse(job.createdAt) || Date.now();
+    transaction.zadd(this.indexKey(), createdAt, jobId);
+    if (job.userId) {
+      transaction.zadd(this.userIndexKey(job.userId), createdAt, jobId);
+    }
+    if (job.status) {
+      transaction.sadd(this.statusIndexKey(job.status), jobId);
+    }
+    return transaction;
+  }
+
+  channel(jobId) {
+    return `${this.keyPrefix}job-events:${jobId}`;
+  }
+
+  publishChange(jobId) {
+    return this.getClient().publish(this.channel(jobId), jobId);
+  }
+
+  encodeFields(job) {
+    return Object.entries(toPlainObject(job)).flatMap(([field, value]) => [field, JSON.stringify(value)]);
+  }
+
+  decodeFields(hash) {
+    if (!hash || Object.keys(hash).length === 0) return null;
+    return Object.fromEntries(
+      Object.entries(hash).map(([field, value]) => [field, JSON.parse(value)])
+    );
+  }
+
+  async get(jobId) {
+    const hash = await this.getClient().hgetall(this.jobKey(jobId));
+    return this.decodeFields(hash);
+  }
+
+  async put(jobId, job, options = {}) {
+    const stored = this.withId(jobId, job);
+    const ttlMs = this.resolveTtl(options);
+    const client = this.getClient();
+    const previousStatus = JSON.parse(await client.hget(this.jobKey(jobId), 'status'));
+
+    const transaction = client
+      .multi()
+      .del(this.jobKey(jobId))
+      .hset(this.jobKey(jobId), ...this.encodeFields(stored));
+    if (ttlMs) {
+      transaction.pexpire(this.jobKey(jobId), ttlMs);
+    }
+    if (previousStatus && previousStatus !== stored.status) {
+      transaction.srem(this.statusIndexKey(previousStatus), jobId);
+    }
+    await this.indexJob(transaction, jobId, stored)
+      .publish(this.channel(jobId), jobId)
+      .exec();
+
+    return stored;
+  }
+
+  async create(jobId, job, options = {}) {
+    const stored = this.withId(jobId, job);
+    const created = await this.getClient().createIfAbsent(
+      this.jobKey(jobId),
+      this.resolveTtl(options) || 0,
+      ...this.encodeFields(stored)
+    );
+    if (!created) return null;
+
+    await this.indexJob(this.getClient().multi(), jobId, stored)
+      .publish(this.channel(jobId), jobId)
+      .exec();
+
+    return stored;
+  }
+
+  async update(jobId, updates, options = {}) {
+    const allowed = (options.ifStatus || []).map((status) => JSON.stringify(status));
+    const matches = Object.entries(options.ifMatch || {});
+    const fields = this.encodeFields(this.withId(jobId, updates));
+    const updated = await this.getClient().updateIfExists(
+      this.jobKey(jobId),
+      this.statusIndexKey(''),
+      jobId,
+      allowed.length,
+      ...allowed,
+      matches.length,
+      ...matches.flatMap(([field, value]) => [field, JSON.stringify(value)]),
+      ...fields
+    );
+    if (!updated) return null;
+
+    await this.publishChange(jobId);
+    return this.get(jobId);
+  }
+
+  async getMany(jobIds) {
+    if (jobIds.length === 0) return [];
+
+    const pipeline = this.getClient().pipeline();
+    jobIds.forEach((jobId) => pipeline.hgetall(this.jobKey(jobId)));
+    const results = await pipeline.exec();
+
+    return results.map(([, hash]) => this.decodeFields(hash)).filter(Boolean);
+  }
+
+  async list(filter = {}, page = null) {
+    const client = this.getClient();
+
+    // Without an owner, a status filter reads only the matching status sets
+    if (!filter.userId && filter.status) {
+      const statuses = [].concat(filter.status);
+      const jobIds = await client.sunion(...statuses.map((status) => this.statusIndexKey(status)));
+      const jobs = (await this.getMany(jobIds)).filter((job) => matchesFilter(job, filter));
+      return page ? paginate(jobs, page, this.idField) : jobs;
+    }
+
+    const index = filter.userId ? this.userIndexKey(filter.userId) : this.indexKey();
+    const min = filter.createdFrom ? Date.parse(filter.createdFrom) : '-inf';
+    const max = filter.createdTo ? `(${Date.parse(filter.createdTo)}` : '+inf';
+
+    if (!page) {
+      const jobs = await this.getMany(await client.zrangebyscore(index, min, max));
+      return jobs.filter((job) => matchesFilter(job, filter));
+    }
+
+    // Page through the index from the cursor. Ties on createdAt are ordered by ID,
+    // like sorted set members with equal scores, so entries up to the cursor are skipped.
+    const descending = page.order !== 'asc';
+    const after = page.after && { score: Date.parse(page.after.createdAt), id: page.after.id };
+    const from = after ? after.score : (descending ? max : min);
+    const to = descending ? min : max;
+    const isPastCursor = (jobId, score) => !after || score !== after.score ||
+      (descending ? jobId < after.id : jobId > after.id);
+
+    const jobs = [];
+    for (let offset = 0; ; offset += LIST_BATCH_SIZE) {
+      const entries = descending
+        ? await client.zrevrangebyscore(index, from, to, 'WITHSCORES', 'LIMIT', offset, LIST_BATCH_SIZE)
+        : await client.zrangebyscore(index, from, to, 'WITHSCORES', 'LIMIT', offset, LIST_BATCH_SIZE);
+
+      const jobIds = [];
+      for (let i = 0; i < entries.length; i += 2) {
+        if (isPastCursor(entries[i], Number(entries[i + 1]))) {
+          jobIds.push(entries[i]);
+        }
+      }
+
+      for (const job of await this.getMany(jobIds)) {
+        if (!matchesFilter(job, filter)) continue;
+        jobs.push(job);
+        if (jobs.length === page.limit) return jobs;
+      }
+
+      if (entries.length < LIST_BATCH_SIZE * 2) return jobs;
+    }
+  }
+
+  async delete(jobId) {
+    const client = this.getClient();
+    const [userId, status] = (await client.hmget(this.jobKey(jobId), 'userId', 'status'))
+      .map((value) => JSON.parse(value));
+
+    const transaction = client
+      .multi()
+      .del(this.jobKey(jobId))
+      .zrem(this.indexKey(), jobId);
+    if (userId) {
+      transaction.zrem(this.userIndexKey(userId), jobId);
+    }
+    if (status) {
+      transaction.srem(this.statusIndexKey(status), jobId);
+    }
+    const [[, deleted]] = await transaction
+      .publish(this.channel(jobId), jobId)
+      .exec();
+
+    return deleted > 0;
+  }
+
+  /**
+   * Remove index entries whose job hash has expired
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async pruneIndex(index) {
+    const client = this.getClient();
+    const isSet = index.startsWith(this.statusIndexKey(''));
+    const jobIds = isSet ? await client.smembers(index) : await client.zrange(index, 0, -1);
+    if (jobIds.length === 0) return 0;
+
+    const pipeline = client.pipeline();
+    jobIds.forEach((jobId) => pipeline.exists(this.jobKey(jobId)));
+    const results = await pipeline.exec();
+
+    const expired = jobIds.filter((jobId, position) => results[position][1] === 0);
+    if (expired.length > 0) {
+      await (isSet ? client.srem(index, ...expired) : client.zrem(index, ...expired));
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Add jobs stored before the status index existed to their status set
+   * @returns {Promise<number>} Number of jobs indexed
+   */
+  async backfillStatusIndex() {
+    const client = this.getClient();
+    const jobIds = await client.zrange(this.indexKey(), 0, -1);
+    if (jobIds.length === 0) return 0;
+
+    const pipeline = client.pipeline();
+    jobIds.forEach((jobId) => pipeline.hget(this.jobKey(jobId), 'status'));
+    const statuses = (await pipeline.exec()).map(([, status]) => JSON.parse(status));
+
+    const indexing = client.pipeline();
+    jobIds.forEach((jobId, position) => {
+      if (statuses[position]) {
+        indexing.sadd(this.statusIndexKey(statuses[position]), jobId);
+      }
+    });
+    const results = await indexing.exec();
+
+    return results.filter(([, added]) => added > 0).length;
+  }
+
+  /**
+   * Run a callback for every key matching a pattern
+   */
+  async forEachKey(pattern, callback) {
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.getClient().scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      for (const key of keys) {
+        await callback(key);
+      }
+      cursor = next;
+    } while (cursor !== '0');
+  }
+
+  async deleteExpired() {
+    // Redis expires job hashes itself; only the indexes need pruning
+    const removed = await this.pruneIndex(this.indexKey());
+    await this.forEachKey(this.userIndexKey('*'), (index) => this.pruneIndex(index));
+    await this.forEachKey(this.statusIndexKey('*'), (index) => this.pruneIndex(index));
+
+    const indexed = await this.backfillStatusIndex();
+    if (indexed > 0) {
+      logger.info('Added jobs to the Redis status index', { count: indexed });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Create the shared subscriber connection (a connection in subscribe mode cannot run other commands)
+   */
+  getSubscriber() {
+    if (!this.subscriber) {
+      this.subscriber = this.getClient().duplicate();
+      this.subscriber.on('message', (channel, jobId) => {
+        const listeners = this.listeners.get(channel);
+        if (!listeners) return;
+
+        this.get(jobId)
+          .then((job) => listeners.forEach((listener) => listener(job)))
+          .catch((error) => logger.error('Redis job listener failed', { jobId, error: error.message }));
+      });
+    }
+    return this.subscriber;
+  }
+
+  subscribe(jobId, listener) {
+    const channel = this.channel(jobId);
+    const subscriber = this.getSubscriber();
+
+    if (!this.listeners.has(channel)) {
+      this.listeners.set(channel, new Set());
+      subscriber.subscribe(channel).catch((error) => {
+        logger.error('Redis subscribe failed', { jobId, error: error.message });
+      });
+    }
+    this.listeners.get(channel).add(listener);
+
+    return () => {
+      const listeners = this.listeners.get(channel);
+      if (!listeners) return;
+
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.listeners.delete(channel);
+        subscriber.unsubscribe(channel).catch(() => {});
+      }
+    };
+  }
+}
+
+module.exports = { RedisJobStore };
@@ -0,0 +1,123 @@
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Apply VEO_FORWARD_* overrides to a model's forwarded fields
+ */
+const applyForwardOverrides = (forwardParams, overrides) => [...new Set([
+  ...forwardParams.filter((param) => overrides[param] !== false),
+  ...Object.keys(overrides).filter((param) => overrides[param]),
+])];
+
+/**
+ * Veo models clients may generate with, and what each one accepts
+ * Built from config.veo.models; only the default model and VEO_ENABLED_MODELS are offered.
+ * Enabled models missing from config.veo.models get config.veo.fallbackModel capabilities.
+ */
+class ModelRegistry {
+  constructor(options = {}) {
+    const models = options.models || config.veo.models;
+    const fallbackModel = options.fallbackModel || config.veo.fallbackModel;
+    const forwardOverrides = options.forwardOverrides || config.veo.forwardOverrides;
+    this.defaultModelId = options.defaultModelId || config.veo.modelId;
+
+    const enabled = new Set([this.defaultModelId, ...(options.enabledModels || config.veo.enabledModels)]);
+    this.models = new Map([...enabled].map((id) => {
+      if (!models[id]) {
+        logger.warn('Unknown Veo model, assuming fallback capabilities', {
+          modelId: id,
+          knownModels: Object.keys(models),
+        });
+      }
+
+      const model = { id, label: id, ...(models[id] || fallbackModel) };
+      model.forwardParams = applyForwardOverrides(model.forwardParams, forwardOverrides);
+      return [id, model];
+    }));
+  }
+
+  /**
+   * Get an enabled model
+   * @param {string} [modelId] - Model ID, defaults to the default model
+   * @returns {Object|null} Null if the model is unknown or not enabled
+   */
+  get(modelId) {
+    return this.models.get(modelId || this.defaultModelId) || null;
+  }
+
+  getDefault() {
+    return this.get(this.defaultModelId);
+  }
+
+  /**
+   * List enabled model IDs, default first
+   */
+  ids() {
+    return [...this.models.keys()];
+  }
+
+  list() {
+    return [...this.models.values()];
+  }
+
+  /**
+   * Check whether a model forwards an optional request field to Vertex
+   */
+  forwards(model, param) {
+    return model.forwardParams.includes(param);
+  }
+
+  /**
+   * Round a requested duration to the closest one the model supports
+   */
+  normalizeDuration(model, duration) {
+    const requested = duration || config.veo.defaults.durationSeconds;
+
+    return model.durations.reduce((prev, curr) =>
+      Math.abs(curr - requested) < Math.abs(prev - requested) ? curr : prev
+    );
+  }
+
+  /**
+   * Describe a model's request parameters for GET /v1/video/modes
+   */
+  describe(model) {
+    return {
+      id: model.id,
+      label: model.label,
+      tier: model.tier,
+      default: model.id === this.defaultModelId,
+      parameters: {
+        durationSeconds: {
+          allowed: model.durations,
+          default: this.normalizeDuration(model),
+        },
+        aspectRatio: {
+          allowed: model.aspectRatios,
+          default: config.veo.defaults.aspectRatio,
+        },
+        fps: {
+          allowed: model.fps,
+          default: config.veo.defaults.fps,
+        },
+        sampleCount: {
+          min: 1,
+          max: model.maxSampleCount,
+          default: 1,
+        },
+        generateAudio: {
+          supported: model.audio,
+        },
+        quality: {
+          allowed: model.resolutions.includes('1080p') ? ['standard', 'high'] : ['standard'],
+          default: config.veo.defaults.quality,
+        },
+      },
+    };
+  }
+}
+
+module.exports = {
+  modelRegistry: new ModelRegistry(),
+  ModelRegistry,
+};
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { PromptRejectedError, ServiceUnavailableError } = require('../utils/errors');
+const { CATEGORIES } = require('../utils/raiFilter');
+
+// Request fields screened before submission; every string inside `scene` is screened too
+const MODERATED_FIELDS = ['prompt', 'negativePrompt', 'scene'];
+
+/**
+ * List the strings in a request field with their paths, e.g. "scene.dialogue[0].line"
+ * @returns {Array<{ field: string, text: string }>}
+ */
+const collectTexts = (value, field) => {
+  if (typeof value === 'string') return value.trim() ? [{ field, text: value }] : [];
+  if (Array.isArray(value)) return value.flatMap((item, index) => collectTexts(item, `${field}[${index}]`));
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => collectTexts(item, `${field}.${key}`));
+  }
+  return [];
+};
+
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/u;
+
+// Digit runs with the usual phone separators; candidates are checked further in looksLikePhoneNumber
+const PHONE_CANDIDATE_PATTERN = /(?<![\p{L}\p{N}])\+?\(?\d[\d\s().-]{6,}\d(?![\p{L}\p{N}])/gu;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Match a term as whole words, ignoring case and surrounding punctuation
+const termPattern = (term) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term.normalize('NFKC'))}(?![\\p{L}\\p{N}])`, 'iu');
+
+/**
+ * 9-15 digits (E.164 allows 15), and not just a list of years or other 4-digit numbers
+ */
+const looksLikePhoneNumber = (candidate) => {
+  const digits = candidate.replace(/\D/g, '');
+  if (digits.length < 9 || digits.length > 15) return false;
+
+  const groups = candidate.trim().split(/[\s().-]+/).filter(Boolean);
+  return candidate.startsWith('+') || !groups.every((group) => group.length === 4);
+};
+
+/**
+ * Read the policy file (if any) and merge in the env-configured lists
+ * @returns {{ version: string, rules: Array<{ category: string, pattern: RegExp }>,
+ *   detectEmails: boolean, detectPhoneNumbers: boolean }}
+ */
+const loadPolicy = (options) => {
+  let file = {};
+  if (options.policyPath) {
+    file = JSON.parse(fs.readFileSync(options.policyPath, 'utf8'));
+  }
+
+  const blockedTerms = { ...(file.blockedTerms || {}) };
+  if (options.blockedTerms.length > 0) {
+    blockedTerms.PROHIBITED_CONTENT = [...(blockedTerms.PROHIBITED_CONTENT || []), ...options.blockedTerms];
+  }
+
+  const rules = [
+    ...Object.entries(blockedTerms).flatMap(([category, terms]) =>
+      terms.map((term) => ({ category, pattern: termPattern(term) }))),
+    ...Object.entries(file.blockedPatterns || {}).flatMap(([category, patterns]) =>
+      patterns.map((pattern) => ({ category, pattern: new RegExp(pattern, 'iu') }))),
+    ...[...(file.realPeople || []), ...options.realPeople].map((name) =>
+      ({ category: 'CELEBRITY', pattern: termPattern(name) })),
+  ];
+
+  return {
+    version: String(file.version || options.policyVersion),
+    rules,
+    detectEmails: file.detectEmails ?? options.detectEmails,
+    detectPhoneNumbers: file.detectPhoneNumbers ?? options.detectPhoneNumbers,
+  };
+};
+
+/**
+ * Default external classifier: POST { text } to MODERATION_CLASSIFIER_URL,
+ * expecting { categories: string[], version?: string }
+ */
+const createHttpClassifier = ({ url, timeoutMs }) => async (text) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': 'veo-backend-moderation/1.0' },
+    body: JSON.stringify({ text }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Classifier responded with HTTP ${response.status}`);
+  }
+
+  const result = await response.json();
+  return { categories: result.categories || [], version: result.version };
+};
+
+class ModerationService {
+  /**
+   * @param {Object} [options] - Defaults to config.moderation
+   */
+  constructor(options = config.moderation) {
+    this.options = options;
+    this.policy = loadPolicy(options);
+    this.classifier = options.classifier.url ? createHttpClassifier(options.classifier) : null;
+  }
+
+  /**
+   * Plug in an external classifier
+   * @param {Function|null} classifier - async (text, { field, uid }) => ({ categories: string[], version?: string })
+   */
+  registerClassifier(classifier) {
+    this.classifier = classifier;
+  }
+
+  /**
+   * Run the local policy over one piece of text
+   * @returns {string[]} Matched categories
+   */
+  matchPolicy(text) {
+    const normalized = text.normalize('NFKC');
+    const categories = this.policy.rules
+      .filter(({ pattern }) => pattern.test(normalized))
+      .map(({ category }) => category);
+
+    if (this.policy.detectEmails && EMAIL_PATTERN.test(normalized)) {
+      categories.push('PERSONAL_INFORMATION');
+    }
+    if (this.policy.detectPhoneNumbers &&
+      (normalized.match(PHONE_CANDIDATE_PATTERN) || []).some(looksLikePhoneNumber)) {
+      categories.push('PERSONAL_INFORMATION');
+    }
+
+    return [...new Set(categories)];
+  }
+
+  /**
+   * Ask the external classifier about one piece of text
+   * @returns {Promise<{ categories: string[], version: string|null }>}
+   */
+  async classify(text, context) {
+    if (!this.classifier) return { categories: [], version: null };
+
+    try {
+      const result = await this.classifier(text, context);
+      return { categories: result.categories || [], version: result.version || null };
+    } catch (error) {
+      logger.warn('Moderation classifier failed', {
+        error: error.message,
+        failOpen: this.options.classifier.failOpen,
+      });
+      if (this.options.classifier.failOpen) return { categories: [], version: null };
+      throw new ServiceUnavailableError('Prompt moderation is temporarily unavailable');
+    }
+  }
+
+  /**
+   * Screen the moderated fields of a set of generation requests
+   * @param {string} uid - Requesting user
+   * @param {Array<{ params: Object, fieldPrefix?: string }>} entries - fieldPrefix locates batch items, e.g. "items[2]."
+   * @returns {Promise<{ allowed: boolean, categories: string[], violations: Array<Object>,
+   *   policyVersion: string, classifierVersion: string|null }>}
+   */
+  async moderate(uid, entries) {
+    const violations = [];
+    let classifierVersion = null;
+
+    for (const { params, fieldPrefix = '' } of entries) {
+      const texts = MODERATED_FIELDS.flatMap((name) => collectTexts(params[name], `${fieldPrefix}${name}`));
+
+      for (const { field, text } of texts) {
+        const classified = await this.classify(text, { field, uid });
+        classifierVersion = classified.version || classifierVersion;
+
+        const categories = new Set([...this.matchPolicy(text), ...classified.categories]);
+        categories.forEach((category) => violations.push({
+          field,
+          category,
+          message: CATEGORIES[category] || category,
+        }));
+      }
+    }
+
+    return {
+      allowed: violations.length === 0,
+      categories: [...new Set(violations.map(({ category }) => category))],
+      violations,
+      policyVersion: this.policy.version,
+      classifierVersion,
+    };
+  }
+
+  /**
+   * Reject the request if any prompt breaks the policy
+   * @throws {PromptRejectedError}
+   */
+  async assertAllowed(uid, entries) {
+    if (!this.options.enabled) return;
+
+    const result = await this.moderate(uid, entries);
+    if (result.allowed) return;
+
+    logger.warn('Prompt rejected by moderation', {
+      metric: 'veo_prompt_rejected',
+      uid,
+      categories: result.categories,
+      fields: [...new Set(result.violations.map(({ field }) => field))],
+      policyVersion: result.policyVersion,
+      classifierVersion: result.classifierVersion,
+    });
+
+    throw new PromptRejectedError(result.categories, result.violations);
+  }
+}
+
+module.exports = {
+  moderationService: new ModerationService(),
+  ModerationService,
+};
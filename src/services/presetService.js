@@ -0,0 +1,156 @@
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { config } = require('../config');
+const { ConflictError, ForbiddenError } = require('../utils/errors');
+const { createJobStore } = require('./jobStore');
+
+// Request fields a preset may set; prompt, model, seed and sampleCount always come from the request
+const PRESET_FIELDS = ['aspectRatio', 'durationSeconds', 'fps', 'cameraStyle', 'motionLevel', 'lighting',
+  'quality', 'negativePrompt', 'generateAudio', 'scene'];
+
+/**
+ * Store user presets with the configured job store driver, kept apart from jobs
+ * Presets never expire and are keyed by presetId.
+ */
+const createPresetStore = () => createJobStore({
+  ...config.jobStore,
+  ttlMs: null,
+  idField: 'presetId',
+  filePath: config.presets.filePath,
+  firestoreCollection: config.presets.firestoreCollection,
+  redisKeyPrefix: `${config.jobStore.redisKeyPrefix}presets:`,
+});
+
+/**
+ * Shape a preset for API responses
+ */
+const serializePreset = (preset) => ({
+  presetId: preset.presetId,
+  name: preset.name,
+  description: preset.description || null,
+  builtIn: Boolean(preset.builtIn),
+  params: preset.params,
+  ...(preset.createdAt && { createdAt: preset.createdAt, updatedAt: preset.updatedAt }),
+});
+
+class PresetService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.builtIn] - Built-in presets by ID, defaults to config.presets.builtIn
+   * @param {Object} [options.store] - Job store adapter for user presets
+   */
+  constructor({ builtIn = config.presets.builtIn, store = createPresetStore() } = {}) {
+    this.builtIn = new Map(Object.entries(builtIn)
+      .map(([presetId, preset]) => [presetId, serializePreset({ ...preset, presetId, builtIn: true })]));
+    this.store = store;
+  }
+
+  /**
+   * List the built-in presets and the user's own, oldest user preset first
+   * @param {string} uid - User ID
+   * @returns {Promise<Object[]>}
+   */
+  async list(uid) {
+    const own = await this.store.list({ userId: uid });
+    own.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return [...this.builtIn.values(), ...own.map(serializePreset)];
+  }
+
+  /**
+   * Get a built-in preset or one owned by the user
+   * @returns {Promise<Object|null>} Null if missing or owned by someone else
+   */
+  async get(presetId, uid) {
+    if (this.builtIn.has(presetId)) return this.builtIn.get(presetId);
+    // User preset IDs are UUIDs; anything else never reaches the store (file names, Redis keys)
+    if (typeof presetId !== 'string' || !isUuid(presetId)) return null;
+
+    const preset = await this.store.get(presetId);
+    return preset && preset.userId === uid ? serializePreset(preset) : null;
+  }
+
+  /**
+   * Save a new user preset
+   * @param {string} uid - Owner
+   * @param {{ name: string, description?: string, params: Object }} fields - Validated request body
+   * @throws {ConflictError} If the user already has config.presets.maxPerUser presets
+   */
+  async create(uid, { name, description, params }) {
+    const existing = await this.store.list({ userId: uid });
+    if (existing.length >= config.presets.maxPerUser) {
+      throw new ConflictError(`Preset limit of ${config.presets.maxPerUser} reached; delete a preset first`);
+    }
+
+    const now = new Date().toISOString();
+    const preset = await this.store.put(uuidv4(), {
+      userId: uid,
+      name,
+      description,
+      params,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    return serializePreset(preset);
+  }
+
+  /**
+   * Replace the name, description and params of a user preset
+   * @returns {Promise<Object|null>} Null if missing or owned by someone else
+   * @throws {ForbiddenError} For built-in presets
+   */
+  async update(presetId, uid, { name, description, params }) {
+    this.assertNotBuiltIn(presetId);
+    if (!(await this.get(presetId, uid))) return null;
+
+    const preset = await this.store.update(presetId, {
+      name,
+      description: description || null,
+      params,
+      updatedAt: new Date().toISOString(),
+    });
+
+    return preset && serializePreset(preset);
+  }
+
+  /**
+   * Delete a user preset
+   * @returns {Promise<boolean>} False if missing or owned by someone else
+   * @throws {ForbiddenError} For built-in presets
+   */
+  async delete(presetId, uid) {
+    this.assertNotBuiltIn(presetId);
+    if (!(await this.get(presetId, uid))) return false;
+
+    return this.store.delete(presetId);
+  }
+
+  assertNotBuiltIn(presetId) {
+    if (this.builtIn.has(presetId)) {
+      throw new ForbiddenError(`Preset ${presetId} is built in and cannot be changed`);
+    }
+  }
+
+  /**
+   * Merge a preset into a generation request; fields set in the request win
+   * A preset's scene parts only apply when the request has a scene of its own.
+   * @param {Object} body - Generation request body
+   * @param {Object} preset - Preset from get()
+   * @returns {Object} Merged request body
+   */
+  applyPreset(body, preset) {
+    const { scene: presetScene, ...presetParams } = preset.params;
+    const merged = { ...presetParams, ...body };
+
+    if (presetScene && body.scene && typeof body.scene === 'object' && !Array.isArray(body.scene)) {
+      merged.scene = { ...presetScene, ...body.scene };
+    }
+
+    return merged;
+  }
+}
+
+module.exports = {
+  presetService: new PresetService(),
+  PresetService,
+  PRESET_FIELDS,
+};
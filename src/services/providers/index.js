@@ -0,0 +1,26 @@
+const { config } = require('../../config');
+const { VideoProvider } = require('./videoProvider');
+const { VertexProvider } = require('./vertexProvider');
+const { MockProvider } = require('./mockProvider');
+
+/**
+ * Create the video generation provider selected by config
+ * @param {Object} options - Provider config (see config.veo.provider)
+ * @returns {VideoProvider}
+ */
+const createVideoProvider = (options = config.veo.provider) => {
+  switch (options.driver) {
+    case 'vertex':
+      return new VertexProvider();
+    case 'mock':
+      return new MockProvider({ delayMs: options.mockDelayMs, videoPath: options.mockVideoPath });
+    default:
+      throw new Error(`Unknown video provider: ${options.driver}`);
+  }
+};
+
+module.exports = {
+  videoProvider: createVideoProvider(),
+  createVideoProvider,
+  VideoProvider,
+};
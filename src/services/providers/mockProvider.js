@@ -0,0 +1,120 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { VideoProvider } = require('./videoProvider');
+
+const DEFAULT_VIDEO_PATH = path.join(__dirname, '../../assets/mock-video.mp4');
+
+// Put `[mock:<scenario>]` anywhere in a prompt to pick the outcome
+const SCENARIO_PATTERN = /\[mock:([a-z]+)\]/i;
+
+const SCENARIOS = ['success', 'quota', 'unavailable', 'invalid', 'error', 'rai', 'partial', 'timeout'];
+
+const RAI_REASON = "Unable to generate videos because the prompt violates Vertex AI's usage guidelines. Support codes: 74803281";
+
+/**
+ * Build an error shaped like a failed Vertex REST call (gaxios)
+ */
+const apiError = (httpStatus, status, message) => {
+  const error = new Error(message);
+  error.response = { status: httpStatus, data: { error: { code: httpStatus, status, message } } };
+  return error;
+};
+
+/**
+ * Offline provider that never calls Vertex (local development and QA)
+ *
+ * Operations finish after a fixed delay with the bundled MP4, one copy per sample.
+ * Operation names encode the scenario, sample count and finish time, so polling keeps
+ * working across restarts and instances. Scenarios:
+ *   quota / unavailable / invalid - predictLongRunning fails with 429 / 503 / 400
+ *   error   - the operation fails with INTERNAL
+ *   rai     - the operation succeeds but every video is removed by Responsible AI filters
+ *   partial - like rai, but only one video is removed
+ *   timeout - the operation never finishes
+ */
+class MockProvider extends VideoProvider {
+  constructor(options = {}) {
+    super();
+    this.delayMs = options.delayMs;
+    this.videoPath = options.videoPath || DEFAULT_VIDEO_PATH;
+    this.video = null; // Base64 contents, loaded on first use
+    this.cancelled = new Set();
+  }
+
+  /**
+   * Get the scenario requested by a prompt
+   */
+  static scenarioFromPrompt(prompt) {
+    const match = typeof prompt === 'string' && prompt.match(SCENARIO_PATTERN);
+    const scenario = match && match[1].toLowerCase();
+    return SCENARIOS.includes(scenario) ? scenario : 'success';
+  }
+
+  async loadVideo() {
+    if (!this.video) {
+      this.video = (await fs.readFile(this.videoPath)).toString('base64');
+    }
+    return this.video;
+  }
+
+  async predictLongRunning(endpoint, instances, parameters = {}) {
+    const scenario = MockProvider.scenarioFromPrompt(instances[0] && instances[0].prompt);
+
+    switch (scenario) {
+      case 'quota':
+        throw apiError(429, 'RESOURCE_EXHAUSTED', 'Quota exceeded for aiplatform.googleapis.com/online_prediction_requests_per_base_model (mock)');
+      case 'unavailable':
+        throw apiError(503, 'UNAVAILABLE', 'The service is currently unavailable (mock)');
+      case 'invalid':
+        throw apiError(400, 'INVALID_ARGUMENT', 'Request contains an invalid argument (mock)');
+      default:
+        break;
+    }
+
+    const sampleCount = parameters.sampleCount || 1;
+    const readyAt = Date.now() + this.delayMs;
+    return { name: `${endpoint}/operations/mock.${scenario}.${sampleCount}.${readyAt}.${uuidv4()}` };
+  }
+
+  async fetchPredictOperation(operationName) {
+    const id = operationName.split('/operations/')[1] || '';
+    const [prefix, scenario, sampleCount, readyAt] = id.split('.');
+
+    if (prefix !== 'mock' || !SCENARIOS.includes(scenario)) {
+      throw apiError(404, 'NOT_FOUND', `Operation ${operationName} not found`);
+    }
+
+    if (this.cancelled.has(operationName)) {
+      return { name: operationName, done: true, error: { code: 1, message: 'Operation was cancelled' } };
+    }
+
+    if (scenario === 'timeout' || Date.now() < Number(readyAt)) {
+      return { name: operationName, done: false };
+    }
+
+    if (scenario === 'error') {
+      return { name: operationName, done: true, error: { code: 13, message: 'Internal error encountered (mock)' } };
+    }
+
+    const count = Number(sampleCount) || 1;
+    const filtered = { rai: count, partial: 1 }[scenario] || 0;
+    const video = await this.loadVideo();
+
+    return {
+      name: operationName,
+      done: true,
+      response: {
+        videos: Array.from({ length: count - filtered }, () => ({ bytesBase64Encoded: video, mimeType: 'video/mp4' })),
+        ...(filtered > 0 && { raiMediaFilteredCount: filtered, raiMediaFilteredReasons: [RAI_REASON] }),
+      },
+    };
+  }
+
+  async cancelOperation(operationName) {
+    this.cancelled.add(operationName);
+    return {};
+  }
+}
+
+module.exports = { MockProvider, SCENARIOS };
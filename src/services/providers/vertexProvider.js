@@ -0,0 +1,26 @@
+const { VideoProvider } = require('./videoProvider');
+const vertexClient = require('../vertexClient');
+
+/**
+ * Vertex AI Veo provider
+ */
+class VertexProvider extends VideoProvider {
+  constructor(client = vertexClient) {
+    super();
+    this.client = client;
+  }
+
+  async predictLongRunning(endpoint, instances, parameters) {
+    return this.client.predictLongRunning(endpoint, instances, parameters);
+  }
+
+  async fetchPredictOperation(operationName) {
+    return this.client.fetchPredictOperation(operationName);
+  }
+
+  async cancelOperation(operationName) {
+    return this.client.cancelOperation(operationName);
+  }
+}
+
+module.exports = { VertexProvider };
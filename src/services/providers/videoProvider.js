@@ -0,0 +1,38 @@
+/**
+ * Base class for video generation providers.
+ *
+ * Providers expose Vertex's long-running prediction API: submit a prediction, poll its
+ * operation, cancel it. Completed operations must return the Vertex response shape
+ * (`videos` / `predictions`) so veoService handles every provider the same way.
+ */
+class VideoProvider {
+  /**
+   * Submit a long-running prediction
+   * @param {string} endpoint - Model resource name
+   * @param {Object[]} instances - Prediction instances
+   * @param {Object} parameters - Prediction parameters
+   * @returns {Promise<{ name: string }>} Operation
+   */
+  async predictLongRunning(endpoint, instances, parameters) {
+    throw new Error(`${this.constructor.name}.predictLongRunning() is not implemented`);
+  }
+
+  /**
+   * Fetch the current state of a long-running prediction
+   * @param {string} operationName - Operation resource name
+   * @returns {Promise<{ name: string, done?: boolean, response?: Object, error?: Object }>}
+   */
+  async fetchPredictOperation(operationName) {
+    throw new Error(`${this.constructor.name}.fetchPredictOperation() is not implemented`);
+  }
+
+  /**
+   * Request cancellation of a long-running prediction (best effort)
+   * @param {string} operationName - Operation resource name
+   */
+  async cancelOperation(operationName) {
+    throw new Error(`${this.constructor.name}.cancelOperation() is not implemented`);
+  }
+}
+
+module.exports = { VideoProvider };
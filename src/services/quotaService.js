@@ -1,12 +1,41 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const { config } = require('../config');
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errors');
+const { createJobStore } = require('./jobStore');
 
-// In-memory quota store (replace with Redis/Firestore for production)
-// Structure: { [uid]: { date: 'YYYY-MM-DD', count: number } }
-const quotaStore = new Map();
+// Records outlive their day so jobs still running at midnight can settle their reservation
+const RECORD_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Concurrent writes to one user's record are retried this many times before giving up
+const MAX_WRITE_ATTEMPTS = 10;
+
+/**
+ * Store daily usage with the configured job store driver so every instance can
+ * reserve against, commit and release the same counts
+ * Record, one per user and day: { quotaKey, userId, date: 'YYYY-MM-DD', count, version,
+ *   reservations: { [reservationId]: { units, status } } }
+ * count includes both committed and outstanding reserved units.
+ */
+const createQuotaStore = () => createJobStore({
+  ...config.jobStore,
+  ttlMs: RECORD_TTL_MS,
+  idField: 'quotaKey',
+  filePath: config.quota.filePath,
+  firestoreCollection: config.quota.firestoreCollection,
+  redisKeyPrefix: `${config.jobStore.redisKeyPrefix}quota:`,
+});
 
 class QuotaService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Job store adapter for quota records
+   */
+  constructor({ store = createQuotaStore() } = {}) {
+    this.store = store;
+  }
+
   /**
    * Get current date string for quota tracking
    */
@@ -14,96 +43,225 @@ class QuotaService {
     return new Date().toISOString().split('T')[0]; // YYYY-MM-DD
   }
 
+  /**
+   * Get the store key of a user's record for a day
+   * UIDs may hold characters that file names and Firestore IDs cannot.
+   */
+  getRecordKey(uid, dateKey) {
+    return crypto.createHash('sha256').update(`${uid}:${dateKey}`).digest('hex');
+  }
+
+  /**
+   * Change a user's record for a day, starting over if another write got there first
+   * @param {Function} change - Gets the current record (null if none) and returns the
+   *   fields to save, or null to leave the record as it is
+   * @returns {Promise<Object|null>} Saved record, or null if nothing was changed
+   */
+  async updateRecord(uid, dateKey, change) {
+    const quotaKey = this.getRecordKey(uid, dateKey);
+
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+      const record = await this.store.get(quotaKey);
+      const fields = change(record);
+      if (!fields) return null;
+
+      const saved = record
+        ? await this.store.update(quotaKey, { ...fields, version: record.version + 1 }, {
+          ifMatch: { version: record.version },
+        })
+        : await this.store.create(quotaKey, { userId: uid, date: dateKey, ...fields, version: 1 });
+      if (saved) return saved;
+    }
+
+    throw new Error(`Quota record for ${uid} kept changing, gave up after ${MAX_WRITE_ATTEMPTS} attempts`);
+  }
+
   /**
    * Get user's quota usage for today
    * @param {string} uid - User ID
-   * @returns {{ used: number, limit: number, remaining: number }}
+   * @returns {Promise<{ used: number, limit: number, remaining: number }>}
    */
-  getQuotaUsage(uid) {
-    const today = this.getCurrentDateKey();
-    const userQuota = quotaStore.get(uid);
+  async getQuotaUsage(uid) {
+    const record = await this.store.get(this.getRecordKey(uid, this.getCurrentDateKey()));
     const limit = config.quota.dailyVideoGenerations;
-
-    if (!userQuota || userQuota.date !== today) {
-      return { used: 0, limit, remaining: limit };
-    }
+    const used = record ? record.count : 0;
 
     return {
-      used: userQuota.count,
+      used,
       limit,
-      remaining: Math.max(0, limit - userQuota.count),
+      remaining: Math.max(0, limit - used),
     };
   }
 
   /**
    * Check if user has quota available
    * @param {string} uid - User ID
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  hasQuotaAvailable(uid) {
-    const usage = this.getQuotaUsage(uid);
+  async hasQuotaAvailable(uid) {
+    const usage = await this.getQuotaUsage(uid);
     return usage.remaining > 0;
   }
 
   /**
-   * Consume one quota unit for a user
+   * Reserve quota units for a job that has been accepted
+   * The units count against today's quota until they are committed or released.
+   * @param {string} uid - User ID
+   * @param {number} [units=1] - Units to reserve
+   * @returns {Promise<{ reservationId: string, date: string, units: number, usage: Object }>}
+   * @throws {QuotaExceededError} If quota exceeded
+   */
+  async reserveQuota(uid, units = 1) {
+    const { reservations } = await this.reserveQuotaBatch(uid, [units]);
+    return reservations[0];
+  }
+
+  /**
+   * Reserve quota for every job of a batch, all or nothing
    * @param {string} uid - User ID
-   * @throws {AppError} If quota exceeded
+   * @param {number[]} unitsPerJob - Units to reserve for each job in the batch
+   * @returns {Promise<{ reservations: Object[], usage: Object }>}
+   * @throws {QuotaExceededError} If the whole batch does not fit in the remaining quota
    */
-  consumeQuota(uid) {
+  async reserveQuotaBatch(uid, unitsPerJob) {
     const today = this.getCurrentDateKey();
-    const usage = this.getQuotaUsage(uid);
+    const limit = config.quota.dailyVideoGenerations;
+    const requested = unitsPerJob.reduce((sum, units) => sum + units, 0);
+    const reservationIds = unitsPerJob.map(() => uuidv4());
+    let used;
 
-    if (usage.remaining <= 0) {
-      logger.warn('User quota exceeded', {
-        uid,
-        used: usage.used,
-        limit: usage.limit,
+    await this.updateRecord(uid, today, (record) => {
+      used = record ? record.count : 0;
+
+      if (limit - used < requested) {
+        logger.warn('User quota exceeded', {
+          uid,
+          used,
+          requested,
+          limit,
+        });
+        throw new QuotaExceededError(uid, limit);
+      }
+
+      const reservations = { ...(record && record.reservations) };
+      unitsPerJob.forEach((units, index) => {
+        reservations[reservationIds[index]] = { units, status: 'RESERVED' };
       });
-      throw new QuotaExceededError(uid, usage.limit);
-    }
 
-    // Update quota
-    quotaStore.set(uid, {
-      date: today,
-      count: usage.used + 1,
+      return { count: used + requested, reservations };
     });
 
-    logger.info('Quota consumed', {
-      uid,
-      newCount: usage.used + 1,
-      limit: usage.limit,
+    const reservations = unitsPerJob.map((units, index) => {
+      used += units;
+      logger.info('Quota reserved', {
+        uid,
+        reservationId: reservationIds[index],
+        units,
+        newCount: used,
+        limit,
+      });
+
+      return {
+        reservationId: reservationIds[index],
+        date: today,
+        units,
+        usage: {
+          used,
+          limit,
+          remaining: Math.max(0, limit - used),
+        },
+      };
     });
 
     return {
-      used: usage.used + 1,
-      limit: usage.limit,
-      remaining: usage.remaining - 1,
+      reservations,
+      usage: reservations[reservations.length - 1].usage,
     };
   }
 
+  /**
+   * Commit a reservation once its job has completed
+   * Committing fewer units than were reserved gives the rest back. Any instance can
+   * commit a reservation, whichever one made it.
+   * @param {string} uid - User ID
+   * @param {string} reservationId - Reservation ID from reserveQuota
+   * @param {string} dateKey - Date (YYYY-MM-DD) the reservation was made
+   * @param {number} [units] - Units actually used, defaults to all reserved units
+   * @returns {Promise<boolean>} Whether an outstanding reservation was committed
+   */
+  async commitQuota(uid, reservationId, dateKey, units) {
+    let used;
+    let unused;
+
+    const saved = await this.updateRecord(uid, dateKey, (record) => {
+      const reservation = record && record.reservations[reservationId];
+      if (!reservation || reservation.status !== 'RESERVED') return null;
+
+      used = units === undefined ? reservation.units : Math.min(units, reservation.units);
+      unused = reservation.units - used;
+
+      return {
+        count: Math.max(0, record.count - unused),
+        reservations: { ...record.reservations, [reservationId]: { units: used, status: 'COMMITTED' } },
+      };
+    });
+    if (!saved) return false;
+
+    logger.info('Quota committed', { uid, reservationId, units: used, refunded: unused });
+    return true;
+  }
+
+  /**
+   * Release a reservation when its job fails or is cancelled, giving the units back
+   * Reservations from a previous day are not refunded since that day's quota has already reset.
+   * Any instance can release a reservation, whichever one made it.
+   * @param {string} uid - User ID
+   * @param {string} reservationId - Reservation ID from reserveQuota
+   * @param {string} dateKey - Date (YYYY-MM-DD) the reservation was made
+   * @returns {Promise<boolean>} Whether units were refunded
+   */
+  async releaseQuota(uid, reservationId, dateKey) {
+    if (dateKey !== this.getCurrentDateKey()) return false;
+
+    let units;
+
+    const saved = await this.updateRecord(uid, dateKey, (record) => {
+      const reservation = record && record.reservations[reservationId];
+      if (!reservation || reservation.status !== 'RESERVED') return null;
+
+      units = reservation.units;
+      return {
+        count: Math.max(0, record.count - units),
+        reservations: { ...record.reservations, [reservationId]: { units, status: 'RELEASED' } },
+      };
+    });
+    if (!saved) return false;
+
+    logger.info('Quota released', {
+      uid,
+      reservationId,
+      units,
+      newCount: saved.count,
+    });
+
+    return true;
+  }
+
   /**
    * Reset quota for a user (admin function)
    * @param {string} uid - User ID
    */
-  resetQuota(uid) {
-    quotaStore.delete(uid);
+  async resetQuota(uid) {
+    await this.store.delete(this.getRecordKey(uid, this.getCurrentDateKey()));
     logger.info('Quota reset', { uid });
   }
 
   /**
    * Clean up old quota entries (call periodically)
+   * Stores with native TTL only prune indexes here.
    */
-  cleanupOldEntries() {
-    const today = this.getCurrentDateKey();
-    let cleaned = 0;
-
-    for (const [uid, data] of quotaStore.entries()) {
-      if (data.date !== today) {
-        quotaStore.delete(uid);
-        cleaned++;
-      }
-    }
+  async cleanupOldEntries() {
+    const cleaned = await this.store.deleteExpired();
 
     if (cleaned > 0) {
       logger.info('Cleaned up old quota entries', { count: cleaned });
@@ -125,5 +283,6 @@ class QuotaExceededError extends AppError {
 
 module.exports = {
   quotaService: new QuotaService(),
+  QuotaService,
   QuotaExceededError,
 };
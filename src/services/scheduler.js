@@ -0,0 +1,73 @@
+const logger = require('../utils/logger');
+
+/**
+ * Runs named background tasks on fixed intervals
+ *
+ * A task never overlaps with itself: if a run takes longer than its interval,
+ * the next tick is skipped. Failures are logged and do not stop the schedule.
+ */
+class Scheduler {
+  constructor() {
+    this.tasks = new Map(); // name -> { intervalMs, task, timer, running }
+  }
+
+  /**
+   * Register a task; it starts running once start() is called
+   * @param {string} name - Task name used in logs
+   * @param {number} intervalMs - Time between runs
+   * @param {Function} task - Async function to run
+   */
+  register(name, intervalMs, task) {
+    if (this.tasks.has(name)) {
+      throw new Error(`Scheduled task ${name} is already registered`);
+    }
+    this.tasks.set(name, { intervalMs, task, timer: null, running: false });
+  }
+
+  start() {
+    for (const [name, entry] of this.tasks) {
+      if (entry.timer) continue;
+
+      entry.timer = setInterval(() => this.run(name), entry.intervalMs);
+      // Scheduled work alone should not keep the process alive
+      entry.timer.unref();
+    }
+
+    logger.info('Scheduler started', {
+      tasks: [...this.tasks].map(([name, { intervalMs }]) => ({ name, intervalMs })),
+    });
+  }
+
+  stop() {
+    for (const entry of this.tasks.values()) {
+      clearInterval(entry.timer);
+      entry.timer = null;
+    }
+  }
+
+  /**
+   * Run a task now unless it is already running
+   * @returns {Promise<boolean>} Whether the task ran
+   */
+  async run(name) {
+    const entry = this.tasks.get(name);
+    if (!entry || entry.running) return false;
+
+    entry.running = true;
+    const start = Date.now();
+    try {
+      await entry.task();
+      logger.debug('Scheduled task finished', { task: name, duration: Date.now() - start });
+    } catch (error) {
+      logger.error('Scheduled task failed', { task: name, error: error.message });
+    } finally {
+      entry.running = false;
+    }
+    return true;
+  }
+}
+
+module.exports = {
+  scheduler: new Scheduler(),
+  Scheduler,
+};
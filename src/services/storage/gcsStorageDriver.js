@@ -0,0 +1,83 @@
+const { Storage } = require('@google-cloud/storage');
+const { StorageDriver } = require('./storageDriver');
+
+/**
+ * Google Cloud Storage driver
+ * storage:// keys live in the configured bucket. gs:// URIs from Vertex or from
+ * jobs created before storage:// existed are read as-is.
+ */
+class GcsStorageDriver extends StorageDriver {
+  constructor(options = {}) {
+    super();
+    // Initialize client using Application Default Credentials
+    this.storage = new Storage();
+    this.bucketName = options.bucketName;
+  }
+
+  getFile(uri) {
+    const match = typeof uri === 'string' && uri.match(/^gs:\/\/([^/]+)\/(.+)$/);
+    if (match) {
+      return this.storage.bucket(match[1]).file(match[2]);
+    }
+    return this.storage.bucket(this.bucketName).file(this.parseUri(uri));
+  }
+
+  normalizeUri(uri) {
+    const prefix = `gs://${this.bucketName}/`;
+    return uri.startsWith(prefix) ? this.toUri(uri.slice(prefix.length)) : uri;
+  }
+
+  async save(key, buffer, options = {}) {
+    await this.storage.bucket(this.bucketName).file(key).save(buffer, {
+      metadata: {
+        contentType: options.contentType,
+        metadata: options.metadata,
+      },
+    });
+    return this.toUri(key);
+  }
+
+  async stat(uri) {
+    let metadata;
+    try {
+      [metadata] = await this.getFile(uri).getMetadata();
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+
+    return {
+      size: Number(metadata.size),
+      contentType: metadata.contentType,
+      etag: metadata.md5Hash || metadata.etag,
+      updated: metadata.updated,
+      metadata: metadata.metadata || {},
+    };
+  }
+
+  async setMetadata(uri, metadata) {
+    await this.getFile(uri).setMetadata({ metadata });
+  }
+
+  async delete(uri) {
+    await this.getFile(uri).delete({ ignoreNotFound: true });
+  }
+
+  async getSignedReadUrl(uri, { expiresAt, downloadName }) {
+    const [signedUrl] = await this.getFile(uri).getSignedUrl({
+      action: 'read',
+      expires: expiresAt,
+      ...(downloadName && {
+        responseDisposition: `attachment; filename="${downloadName}"`,
+      }),
+    });
+    return signedUrl;
+  }
+
+  createReadStream(uri, { start, end } = {}) {
+    // Checksums cannot be validated on partial reads
+    return this.getFile(uri).createReadStream({ start, end, validation: start === undefined });
+  }
+}
+
+module.exports = { GcsStorageDriver };
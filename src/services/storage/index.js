@@ -0,0 +1,31 @@
+const { config } = require('../../config');
+const { StorageDriver, STORAGE_SCHEME } = require('./storageDriver');
+const { GcsStorageDriver } = require('./gcsStorageDriver');
+const { LocalStorageDriver } = require('./localStorageDriver');
+
+/**
+ * Create the storage driver selected by config
+ * @param {Object} options - Storage config (see config.storage)
+ * @returns {StorageDriver}
+ */
+const createStorageDriver = (options = config.storage) => {
+  switch (options.driver) {
+    case 'gcs':
+      return new GcsStorageDriver({ bucketName: config.gcs.bucketName });
+    case 'local':
+      return new LocalStorageDriver({
+        directory: options.localPath,
+        baseUrl: options.publicBaseUrl,
+        signingSecret: options.signingSecret,
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${options.driver}`);
+  }
+};
+
+module.exports = {
+  storageDriver: createStorageDriver(),
+  createStorageDriver,
+  StorageDriver,
+  STORAGE_SCHEME,
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+const { StorageDriver } = require('./storageDriver');
+
+/**
+ * Local-disk driver for development without a GCS bucket.
+ * Objects are plain files under the configured directory with a `.meta.json` sidecar.
+ * Signed URLs point at this app's /v1/storage route and carry an HMAC over the key,
+ * expiry and download name.
+ */
+class LocalStorageDriver extends StorageDriver {
+  constructor(options = {}) {
+    super();
+    this.directory = path.resolve(options.directory);
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.signingSecret = options.signingSecret;
+  }
+
+  /**
+   * Resolve a key to a path, refusing keys that escape the storage directory
+   */
+  filePath(key) {
+    const resolved = path.resolve(this.directory, key);
+    if (!resolved.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  }
+
+  metaPath(key) {
+    return `${this.filePath(key)}.meta.json`;
+  }
+
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.metaPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, data);
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async save(key, buffer, options = {}) {
+    const filePath = this.filePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    await this.writeAtomic(filePath, buffer);
+    await this.writeAtomic(this.metaPath(key), JSON.stringify({
+      contentType: options.contentType || 'application/octet-stream',
+      etag: crypto.createHash('md5').update(buffer).digest('base64'),
+      metadata: options.metadata || {},
+    }));
+
+    return this.toUri(key);
+  }
+
+  async stat(uri) {
+    const key = this.parseUri(uri);
+    let stats;
+    try {
+      stats = await fs.stat(this.filePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const meta = await this.readMeta(key);
+    return {
+      size: stats.size,
+      contentType: meta.contentType || 'application/octet-stream',
+      etag: meta.etag || `${stats.size}-${stats.mtimeMs}`,
+      updated: stats.mtime.toISOString(),
+      metadata: meta.metadata || {},
+    };
+  }
+
+  async setMetadata(uri, metadata) {
+    const key = this.parseUri(uri);
+    const meta = await this.readMeta(key);
+    await this.writeAtomic(this.metaPath(key), JSON.stringify({
+      ...meta,
+      metadata: { ...meta.metadata, ...metadata },
+    }));
+  }
+
+  async delete(uri) {
+    const key = this.parseUri(uri);
+    await Promise.all([this.filePath(key), this.metaPath(key)].map((filePath) =>
+      fs.unlink(filePath).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      })
+    ));
+  }
+
+  sign(key, expires, downloadName) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${key}\n${expires}\n${downloadName || ''}`)
+      .digest('base64url');
+  }
+
+  async getSignedReadUrl(uri, { expiresAt, downloadName }) {
+    const key = this.parseUri(uri);
+    const expires = Math.floor(expiresAt / 1000);
+    const query = new URLSearchParams({ expires: String(expires) });
+    if (downloadName) {
+      query.set('download', downloadName);
+    }
+    query.set('signature', this.sign(key, expires, downloadName));
+
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}/v1/storage/${encodedKey}?${query}`;
+  }
+
+  /**
+   * Check a signed URL's query against its key
+   * @returns {boolean} Whether the signature matches and has not expired
+   */
+  verifySignedUrl(key, { expires, download, signature }) {
+    if (!expires || !signature || Number(expires) * 1000 < Date.now()) return false;
+
+    const expected = Buffer.from(this.sign(key, Number(expires), download));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  createReadStream(uri, { start, end } = {}) {
+    return createReadStream(this.filePath(this.parseUri(uri)), { start, end });
+  }
+}
+
+module.exports = { LocalStorageDriver };
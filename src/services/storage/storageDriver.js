@@ -0,0 +1,110 @@
+const STORAGE_SCHEME = 'storage://';
+
+/**
+ * Base class for video storage drivers.
+ *
+ * Objects are addressed by keys such as `videos/{jobId}/0.mp4` and exposed to the
+ * rest of the app as `storage://{key}` URIs, whichever driver holds them.
+ */
+class StorageDriver {
+  /**
+   * Build the URI for a key
+   */
+  toUri(key) {
+    return `${STORAGE_SCHEME}${key}`;
+  }
+
+  /**
+   * Get the key of a URI this driver can read
+   * @throws {Error} If the URI does not belong to this driver
+   */
+  parseUri(uri) {
+    if (typeof uri === 'string' && uri.startsWith(STORAGE_SCHEME)) {
+      return uri.slice(STORAGE_SCHEME.length);
+    }
+    throw new Error(`${this.constructor.name} cannot read ${uri}`);
+  }
+
+  /**
+   * Map a URI produced outside the driver (e.g. by Vertex) to the shared scheme where possible
+   */
+  normalizeUri(uri) {
+    return uri;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer} buffer - Contents
+   * @param {Object} [options]
+   * @param {string} [options.contentType] - MIME type
+   * @param {Object} [options.metadata] - Custom string metadata
+   * @returns {Promise<string>} storage:// URI
+   */
+  async save(key, buffer, options = {}) {
+    throw new Error(`${this.constructor.name}.save() is not implemented`);
+  }
+
+  /**
+   * Describe an object
+   * @param {string} uri - Object URI
+   * @returns {Promise<{ size: number, contentType: string, etag: string, updated: string, metadata: Object }|null>}
+   *   Null if the object does not exist
+   */
+  async stat(uri) {
+    throw new Error(`${this.constructor.name}.stat() is not implemented`);
+  }
+
+  /**
+   * Merge custom metadata into an existing object
+   */
+  async setMetadata(uri, metadata) {
+    throw new Error(`${this.constructor.name}.setMetadata() is not implemented`);
+  }
+
+  /**
+   * Delete an object; deleting a missing object is not an error
+   * @param {string} uri - Object URI
+   */
+  async delete(uri) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+
+  /**
+   * Create a URL that lets anyone holding it read the object until it expires
+   * @param {string} uri - Object URI
+   * @param {Object} options
+   * @param {number} options.expiresAt - Expiry as epoch milliseconds
+   * @param {string} [options.downloadName] - Serve as an attachment with this file name
+   * @returns {Promise<string>}
+   */
+  async getSignedReadUrl(uri, options) {
+    throw new Error(`${this.constructor.name}.getSignedReadUrl() is not implemented`);
+  }
+
+  /**
+   * Stream an object, optionally a byte range
+   * @param {string} uri - Object URI
+   * @param {Object} [range]
+   * @param {number} [range.start] - First byte, inclusive
+   * @param {number} [range.end] - Last byte, inclusive
+   * @returns {import('stream').Readable}
+   */
+  createReadStream(uri, range = {}) {
+    throw new Error(`${this.constructor.name}.createReadStream() is not implemented`);
+  }
+
+  /**
+   * Read a whole object into memory
+   * @returns {Promise<Buffer>}
+   */
+  async read(uri) {
+    const chunks = [];
+    for await (const chunk of this.createReadStream(uri)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = { StorageDriver, STORAGE_SCHEME };
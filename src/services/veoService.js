@@ -1,26 +1,58 @@
-const { v1 } = require('@google-cloud/aiplatform');
-const { Storage } = require('@google-cloud/storage');
 const { v4: uuidv4 } = require('uuid');
 const { config } = require('../config');
 const logger = require('../utils/logger');
-const { VeoApiError, UnsupportedModeError } = require('../utils/errors');
-
-// Initialize clients using Application Default Credentials
-const predictionServiceClient = new v1.PredictionServiceClient({
-  apiEndpoint: `${config.gcp.region}-aiplatform.googleapis.com`,
-});
-
-const storage = new Storage();
-
-// In-memory job store (replace with Redis/Firestore for production)
-const jobStore = new Map();
+const {
+  VeoApiError,
+  SafetyBlockedError,
+  ConflictError,
+  GoneError,
+  NotFoundError,
+  JobCancelledError,
+  UnsupportedModeError,
+  ValidationError,
+} = require('../utils/errors');
+const { ACTIVE_STATUSES, isTerminalStatus } = require('../utils/jobStatus');
+const { classifyVertexError } = require('../utils/vertexErrors');
+const { parseMp4 } = require('../utils/mp4');
+const { parseRaiFiltering, describeCategories } = require('../utils/raiFilter');
+const { compilePrompt } = require('../utils/promptTemplates');
+const { quotaService } = require('./quotaService');
+const { webhookService } = require('./webhookService');
+const { generationQueue } = require('./generationQueue');
+const { jobStore } = require('./jobStore');
+const { storageDriver } = require('./storage');
+const { videoProvider } = require('./providers');
+const { modelRegistry } = require('./modelRegistry');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Logged when a generation fails in the background
+const FAILURE_MESSAGES = {
+  TEXT_TO_VIDEO: 'Text-to-video generation failed',
+  IMAGE_TO_VIDEO: 'Image-to-video generation failed',
+};
+
+// Opaque pagination cursors: base64url-encoded { value, jobId } of the last item on a page
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof key.value === 'string' && typeof key.jobId === 'string') {
+      return key;
+    }
+  } catch (error) {
+    // Fall through to the validation error below
+  }
+  throw new ValidationError('Invalid cursor', [{ field: 'cursor', message: 'Invalid cursor', value: cursor }]);
+};
 
 class VeoService {
   constructor() {
     this.projectId = config.gcp.projectId;
     this.region = config.gcp.region;
-    this.modelId = config.veo.modelId;
-    this.bucket = storage.bucket(config.gcs.bucketName);
+    // Generations owned by this instance: jobId -> { mode, params }, params is null for resumed operations
+    this.inFlight = new Map();
   }
 
   /**
@@ -31,58 +63,65 @@ class VeoService {
   }
 
   /**
-   * Get the endpoint path for Veo model
+   * Get an enabled model from the registry
+   * @param {string} [modelId] - Model ID, defaults to VEO_MODEL_ID
+   * @throws {VeoApiError} If the model is not enabled (e.g. disabled after the job was queued)
    */
-  getEndpoint() {
-    return `projects/${this.projectId}/locations/${this.region}/publishers/google/models/${this.modelId}`;
+  getModel(modelId) {
+    const model = modelRegistry.get(modelId);
+    if (!model) {
+      throw new VeoApiError(`Model ${modelId} is not available`, null, 'INVALID_ARGUMENT');
+    }
+    return model;
   }
 
   /**
-   * Build prompt with style parameters
+   * Get the endpoint path for a Veo model
    */
-  buildEnhancedPrompt(params) {
-    const parts = [params.prompt];
-
-    if (params.cameraStyle) {
-      parts.push(`Camera style: ${params.cameraStyle}`);
-    }
-    if (params.motionLevel) {
-      parts.push(`Motion: ${params.motionLevel}`);
-    }
-    if (params.lighting) {
-      parts.push(`Lighting: ${params.lighting}`);
-    }
+  getEndpoint(modelId) {
+    return `projects/${this.projectId}/locations/${this.region}/publishers/google/models/${this.getModel(modelId).id}`;
+  }
 
-    return parts.join('. ');
+  /**
+   * Get the prompt sent to the model
+   * Jobs queued before prompts were compiled at creation are compiled now.
+   */
+  buildEnhancedPrompt(params) {
+    return params.compiledPrompt || compilePrompt(params).prompt;
   }
 
   /**
    * Build Veo API request parameters
    */
   buildRequestParameters(params) {
+    const model = this.getModel(params.model);
     const parameters = {
       aspectRatio: params.aspectRatio || config.veo.defaults.aspectRatio,
-      durationSeconds: this.normalizeDuration(params.durationSeconds),
+      durationSeconds: this.normalizeDuration(params.durationSeconds, model.id),
     };
 
-    // Only forward parameters that are confirmed supported / explicitly enabled
-    if (config.veo.forwardParams.fps && params.fps) {
+    // Only forward parameters the model's registry entry lists as supported
+    if (modelRegistry.forwards(model, 'fps') && params.fps) {
       parameters.fps = params.fps;
     }
 
-    if (config.veo.forwardParams.negativePrompt && params.negativePrompt) {
+    if (modelRegistry.forwards(model, 'negativePrompt') && params.negativePrompt) {
       parameters.negativePrompt = params.negativePrompt;
     }
 
-    if (config.veo.forwardParams.seed && params.seed !== undefined && params.seed !== null) {
+    if (modelRegistry.forwards(model, 'seed') && params.seed !== undefined && params.seed !== null) {
       parameters.seed = params.seed;
     }
 
-    if (config.veo.forwardParams.generateAudio && params.generateAudio !== undefined) {
+    if (modelRegistry.forwards(model, 'generateAudio') && params.generateAudio !== undefined) {
       parameters.generateAudio = params.generateAudio;
     }
 
-    if (config.veo.forwardParams.resolution && params.quality === 'high') {
+    if (params.sampleCount) {
+      parameters.sampleCount = params.sampleCount;
+    }
+
+    if (modelRegistry.forwards(model, 'resolution') && params.quality === 'high') {
       parameters.resolution = '1080p';
     }
 
@@ -90,86 +129,337 @@ class VeoService {
   }
 
   /**
-   * Normalize duration to allowed values (4, 6, or 8 seconds)
+   * Round a duration to the closest one the model supports
+   * Models that are no longer enabled fall back to the default model's durations.
    */
-  normalizeDuration(duration) {
-    const requested = duration || config.veo.defaults.durationSeconds;
-    const allowed = config.veo.limits.allowedDurations;
+  normalizeDuration(duration, modelId) {
+    const model = modelRegistry.get(modelId) || modelRegistry.getDefault();
+    return modelRegistry.normalizeDuration(model, duration);
+  }
 
-    // Find closest allowed duration
-    return allowed.reduce((prev, curr) =>
-      Math.abs(curr - requested) < Math.abs(prev - requested) ? curr : prev
-    );
+  /**
+   * Time a job may run once started, scaled by the requested video length
+   */
+  getRunBudgetMs(mode, durationSeconds, modelId) {
+    const { baseRunMs, perVideoSecondMs } = config.veo.deadlines;
+    const base = baseRunMs[mode] || baseRunMs.TEXT_TO_VIDEO;
+    return base + this.normalizeDuration(durationSeconds, modelId) * perVideoSecondMs;
+  }
+
+  /**
+   * Get when a job must have finished
+   * Jobs created before deadlines existed get one derived from createdAt.
+   * @returns {number} Epoch milliseconds
+   */
+  getJobDeadline(job) {
+    if (job.deadlineAt) return Date.parse(job.deadlineAt);
+
+    return Date.parse(job.createdAt) + config.veo.deadlines.queueTimeoutMs +
+      this.getRunBudgetMs(job.mode, undefined, job.model);
   }
 
   /**
    * Generate video from text prompt
    * @param {Object} params - Generation parameters
    * @param {Object} user - Authenticated user info (uid, email)
+   * @param {Object} [options]
+   * @param {Object} [options.quotaReservation] - Reservation from quotaService.reserveQuota
+   * @param {string} [options.batchId] - Batch the job belongs to
+   * @param {number} [options.batchIndex] - Position of the job within its batch
    */
-  async generateFromText(params, user) {
-    if (!this.isModeSupported('TEXT_TO_VIDEO')) {
-      throw new UnsupportedModeError('TEXT_TO_VIDEO');
+  async generateFromText(params, user, options = {}) {
+    const { jobId, generation } = await this.createGenerationJob('TEXT_TO_VIDEO', params, user, options);
+
+    // Queue async generation
+    return this.queueGeneration(jobId, user, generation, FAILURE_MESSAGES.TEXT_TO_VIDEO);
+  }
+
+  /**
+   * Generate video from image
+   * @param {Object} params - Generation parameters
+   * @param {Object} user - Authenticated user info (uid, email)
+   * @param {Object} [options]
+   * @param {Object} [options.quotaReservation] - Reservation from quotaService.reserveQuota
+   * @param {string} [options.batchId] - Batch the job belongs to
+   * @param {number} [options.batchIndex] - Position of the job within its batch
+   */
+  async generateFromImage(params, user, options = {}) {
+    const { jobId, generation } = await this.createGenerationJob('IMAGE_TO_VIDEO', params, user, options);
+
+    // Queue async generation
+    return this.queueGeneration(jobId, user, generation, FAILURE_MESSAGES.IMAGE_TO_VIDEO);
+  }
+
+  /**
+   * Store a QUEUED job for a text or image generation without starting it
+   * @param {string} mode - TEXT_TO_VIDEO or IMAGE_TO_VIDEO
+   * @param {Object} params - Generation parameters
+   * @param {Object} user - Authenticated user info (uid, email)
+   * @param {Object} options - As for generateFromText
+   * @returns {Promise<{ jobId: string, generation: { mode: string, params: Object } }>}
+   *   The generation to pass to queueGeneration
+   */
+  async createGenerationJob(mode, params, user, options) {
+    if (!this.isModeSupported(mode)) {
+      throw new UnsupportedModeError(mode);
     }
 
     const jobId = uuidv4();
+    // Pin the model so a later change of VEO_MODEL_ID does not affect queued jobs,
+    // and the prompt so retries and resumed jobs send exactly what was first compiled
+    const { prompt: compiledPrompt, template: promptTemplate } = compilePrompt(params);
+    const generationParams = { ...params, model: this.getModel(params.model).id, compiledPrompt };
+    const jobParams = this.buildJobParams(generationParams);
 
     // Store initial job status with user info
-    this.updateJobStatus(jobId, {
-      status: 'PENDING',
-      mode: 'TEXT_TO_VIDEO',
-      createdAt: new Date().toISOString(),
+    const createdAt = Date.now();
+
+    await this.createJob(jobId, {
+      status: 'QUEUED',
+      mode,
+      model: generationParams.model,
+      compiledPrompt,
+      promptTemplate,
+      createdAt: new Date(createdAt).toISOString(),
+      deadlineAt: new Date(createdAt + config.veo.deadlines.queueTimeoutMs +
+        this.getRunBudgetMs(mode, params.durationSeconds, generationParams.model)).toISOString(),
       userId: user.uid,
       userEmail: user.email,
-      params: { prompt: params.prompt },
+      priorityClass: this.getPriorityClass(user),
+      params: mode === 'IMAGE_TO_VIDEO' ? { ...jobParams, hasImage: true } : jobParams,
+      callbackUrl: params.callbackUrl,
+      quota: this.buildQuotaRecord(options.quotaReservation),
+      ...this.buildBatchRecord(options),
     });
 
-    // Start async generation
-    this.executeGeneration(jobId, params, 'TEXT_TO_VIDEO').catch((error) => {
-      logger.error('Text-to-video generation failed', { jobId, userId: user.uid, error: error.message });
-      this.updateJobStatus(jobId, {
-        status: 'FAILED',
+    return { jobId, generation: { mode, params: generationParams } };
+  }
+
+  /**
+   * Build the request summary stored on a job
+   * Keeps what is needed to check the output against the request; media inputs are not stored.
+   */
+  buildJobParams(params) {
+    return {
+      prompt: params.prompt,
+      scene: params.scene,
+      presetId: params.presetId,
+      sampleCount: params.sampleCount || 1,
+      // What the user asked for, so a rounded duration shows up as a mismatch
+      durationSeconds: params.durationSeconds || this.normalizeDuration(undefined, params.model),
+      aspectRatio: params.aspectRatio || config.veo.defaults.aspectRatio,
+      fps: params.fps,
+      generateAudio: params.generateAudio,
+    };
+  }
+
+  /**
+   * Build the batch fields stored on a job, if it belongs to one
+   */
+  buildBatchRecord({ batchId, batchIndex }) {
+    return batchId ? { batchId, batchIndex } : {};
+  }
+
+  /**
+   * Start every job of a batch
+   * Quota must already be reserved for all items. Every job is stored before any is
+   * queued; if one cannot be stored, the others are deleted and all reservations are
+   * released before the error is rethrown, so nothing from the batch runs.
+   * @param {Array<{ mode: string, params: Object }>} items - Batch items
+   * @param {Object} user - Authenticated user info (uid, email)
+   * @param {Object} options
+   * @param {Object[]} options.quotaReservations - One reservation per item
+   * @returns {Promise<{ batchId: string, jobs: Object[] }>}
+   */
+  async generateBatch(items, user, { quotaReservations }) {
+    const batchId = uuidv4();
+    const created = [];
+
+    try {
+      for (const [batchIndex, { mode, params }] of items.entries()) {
+        created.push(await this.createGenerationJob(mode, params, user, {
+          quotaReservation: quotaReservations[batchIndex],
+          batchId,
+          batchIndex,
+        }));
+      }
+    } catch (error) {
+      await Promise.all(created.map(({ jobId }) => jobStore.delete(jobId).catch((failure) => {
+        logger.error('Failed to delete job of aborted batch', { batchId, jobId, error: failure.message });
+      })));
+      await Promise.all(quotaReservations.map(({ reservationId, date }) =>
+        quotaService.releaseQuota(user.uid, reservationId, date)));
+      logger.error('Batch generation aborted', {
+        batchId,
+        created: created.length,
+        total: items.length,
         error: error.message,
-        completedAt: new Date().toISOString(),
       });
-    });
+      throw error;
+    }
+
+    const jobs = [];
+    for (const { jobId, generation } of created) {
+      const result = await this.queueGeneration(jobId, user, generation, FAILURE_MESSAGES[generation.mode]);
+      jobs.push({ ...result, mode: generation.mode });
+    }
+
+    logger.info('Batch generation started', { batchId, userId: user.uid, jobs: jobs.length });
 
-    return { jobId };
+    return { batchId, jobs };
   }
 
   /**
-   * Generate video from image
-   * @param {Object} params - Generation parameters
-   * @param {Object} user - Authenticated user info (uid, email)
+   * Get the rollup of a batch's jobs
+   * @param {string} batchId - Batch ID
+   * @param {string} userId - Owner UID
+   * @returns {Promise<{ status: string, counts: Object, jobs: Object[] }|null>} Null if the user has no jobs in the batch
    */
-  async generateFromImage(params, user) {
-    if (!this.isModeSupported('IMAGE_TO_VIDEO')) {
-      throw new UnsupportedModeError('IMAGE_TO_VIDEO');
+  async getBatchStatus(batchId, userId) {
+    const jobs = (await jobStore.list({ userId, batchId }))
+      .filter((job) => this.isJobOwner(job, userId))
+      .sort((a, b) => a.batchIndex - b.batchIndex);
+
+    if (jobs.length === 0) return null;
+
+    const counts = jobs.reduce((acc, job) => {
+      acc[job.status] = (acc[job.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    let status;
+    if (jobs.some((job) => !isTerminalStatus(job.status))) {
+      status = jobs.every((job) => job.status === 'QUEUED') ? 'QUEUED' : 'PROCESSING';
+    } else if (counts.COMPLETED === jobs.length) {
+      status = 'COMPLETED';
+    } else if (counts.COMPLETED) {
+      status = 'PARTIALLY_COMPLETED';
+    } else {
+      status = 'FAILED';
     }
 
-    const jobId = uuidv4();
+    return {
+      status,
+      counts,
+      jobs: jobs.map((job) => this.withQueueInfo(job)),
+    };
+  }
 
-    // Store initial job status with user info
-    this.updateJobStatus(jobId, {
-      status: 'PENDING',
-      mode: 'IMAGE_TO_VIDEO',
-      createdAt: new Date().toISOString(),
+  /**
+   * Submit and track the Vertex operation for a job
+   */
+  runGeneration(jobId, mode, params) {
+    return mode === 'IMAGE_TO_VIDEO'
+      ? this.executeImageGeneration(jobId, params)
+      : this.executeGeneration(jobId, params, mode);
+  }
+
+  /**
+   * Get the queue priority class for a user
+   */
+  getPriorityClass(user) {
+    return user.plan || config.queue.defaultPriorityClass;
+  }
+
+  /**
+   * Put a created job on the generation queue and record where it landed
+   * @returns {Promise<{ jobId: string, status: string, queuePosition?: number, estimatedStartAt?: string }>}
+   */
+  async queueGeneration(jobId, user, { mode, params }, failureMessage) {
+    this.inFlight.set(jobId, { mode, params });
+    this.runInBackground(jobId, generationQueue.enqueue({
+      jobId,
+      userId: user.uid,
+      priorityClass: this.getPriorityClass(user),
+      run: async () => {
+        await this.markStarted(jobId, this.getRunBudgetMs(mode, params.durationSeconds, params.model));
+        return this.runGeneration(jobId, mode, params);
+      },
+    }), {
+      message: failureMessage,
       userId: user.uid,
-      userEmail: user.email,
-      params: { prompt: params.prompt, hasImage: true },
     });
 
-    // Start async generation
-    this.executeImageGeneration(jobId, params).catch((error) => {
-      logger.error('Image-to-video generation failed', { jobId, userId: user.uid, error: error.message });
-      this.updateJobStatus(jobId, {
-        status: 'FAILED',
-        error: error.message,
-        completedAt: new Date().toISOString(),
-      });
+    const queuePosition = generationQueue.getPosition(jobId);
+    if (!queuePosition) {
+      // Started straight away
+      return { jobId, status: 'PROCESSING' };
+    }
+
+    const estimatedStartAt = generationQueue.estimateStartAt(queuePosition);
+    await jobStore.update(jobId, { queuePosition, estimatedStartAt }, { ifStatus: ['QUEUED'] });
+
+    return {
+      jobId,
+      status: 'QUEUED',
+      queuePosition,
+      estimatedStartAt,
+    };
+  }
+
+  /**
+   * Move a job from QUEUED to PROCESSING when the queue starts it
+   * @throws {JobCancelledError} If the job was cancelled while waiting
+   */
+  async markStarted(jobId, runBudgetMs) {
+    const startedAt = Date.now();
+    const started = await this.updateJobStatus(jobId, {
+      status: 'PROCESSING',
+      startedAt: new Date(startedAt).toISOString(),
+      deadlineAt: new Date(startedAt + runBudgetMs).toISOString(),
     });
 
-    return { jobId };
+    if (!started) {
+      throw new JobCancelledError(jobId);
+    }
+  }
+
+  /**
+   * Submit a generation, retrying transient Vertex failures with jittered exponential backoff
+   * Only submission is retried: once an operation exists, submitting again would start a
+   * second paid generation. The attempt count is recorded on the job before each try.
+   */
+  async runWithRetries(jobId, run) {
+    const { maxAttempts, initialDelayMs, maxDelayMs } = config.veo.retry;
+
+    for (let attempt = 1; ; attempt++) {
+      await jobStore.update(jobId, { attempts: attempt });
+
+      try {
+        return await run();
+      } catch (error) {
+        if (error instanceof JobCancelledError) throw error;
+
+        const classified = classifyVertexError(error);
+        if (!classified.retryable || attempt >= maxAttempts) throw error;
+
+        // Full jitter keeps a burst of throttled jobs from retrying in lockstep
+        const delay = Math.random() * Math.min(initialDelayMs * 2 ** (attempt - 1), maxDelayMs);
+        logger.warn('Retrying Veo generation after transient error', {
+          jobId,
+          attempt,
+          code: classified.code,
+          delayMs: Math.round(delay),
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Overlay the live queue position for jobs waiting on this instance
+   */
+  withQueueInfo(job) {
+    if (job.status !== 'QUEUED') return job;
+
+    const queuePosition = generationQueue.getPosition(job.jobId);
+    if (!queuePosition) return job;
+
+    return {
+      ...job,
+      queuePosition,
+      estimatedStartAt: generationQueue.estimateStartAt(queuePosition),
+    };
   }
 
   /**
@@ -191,9 +481,7 @@ class VeoService {
    */
   async executeGeneration(jobId, params, mode) {
     try {
-      this.updateJobStatus(jobId, { status: 'PROCESSING' });
-
-      const endpoint = this.getEndpoint();
+      const endpoint = this.getEndpoint(params.model);
       const prompt = this.buildEnhancedPrompt(params);
       const requestParameters = this.buildRequestParameters(params);
 
@@ -205,24 +493,13 @@ class VeoService {
         duration: requestParameters.durationSeconds,
       });
 
-      // Make the prediction request
-      const [response] = await predictionServiceClient.predict({
-        endpoint,
-        instances: [{ prompt }],
-        parameters: this.structToValue(requestParameters),
-      });
-
-      // Process response
-      const result = await this.processGenerationResponse(jobId, response);
-
-      this.updateJobStatus(jobId, {
-        status: 'COMPLETED',
-        result,
-        completedAt: new Date().toISOString(),
-      });
+      await this.runWithRetries(jobId, () => this.submitOperation(jobId, endpoint, { prompt }, requestParameters));
+      await this.trackOperation(jobId);
 
       logger.info('Veo generation completed', { jobId, mode });
     } catch (error) {
+      if (error instanceof JobCancelledError) throw error;
+
       logger.error('Veo API error', {
         jobId,
         error: error.message,
@@ -237,9 +514,7 @@ class VeoService {
    */
   async executeImageGeneration(jobId, params) {
     try {
-      this.updateJobStatus(jobId, { status: 'PROCESSING' });
-
-      const endpoint = this.getEndpoint();
+      const endpoint = this.getEndpoint(params.model);
       const prompt = this.buildEnhancedPrompt(params);
       const requestParameters = this.buildRequestParameters(params);
 
@@ -254,22 +529,13 @@ class VeoService {
         },
       };
 
-      const [response] = await predictionServiceClient.predict({
-        endpoint,
-        instances: [instance],
-        parameters: this.structToValue(requestParameters),
-      });
-
-      const result = await this.processGenerationResponse(jobId, response);
-
-      this.updateJobStatus(jobId, {
-        status: 'COMPLETED',
-        result,
-        completedAt: new Date().toISOString(),
-      });
+      await this.runWithRetries(jobId, () => this.submitOperation(jobId, endpoint, instance, requestParameters));
+      await this.trackOperation(jobId);
 
       logger.info('Veo image-to-video generation completed', { jobId });
     } catch (error) {
+      if (error instanceof JobCancelledError) throw error;
+
       logger.error('Veo image-to-video API error', {
         jobId,
         error: error.message,
@@ -279,124 +545,692 @@ class VeoService {
   }
 
   /**
-   * Process the generation response and store video
+   * Submit a long-running prediction and record the operation on the job
+   */
+  async submitOperation(jobId, endpoint, instance, requestParameters) {
+    const operation = await videoProvider.predictLongRunning(endpoint, [instance], requestParameters);
+
+    const updated = await this.updateJobStatus(jobId, {
+      status: 'PROCESSING',
+      operationName: operation.name,
+    });
+
+    // The job was cancelled while the request was in flight
+    if (!updated) {
+      await this.cancelOperation(jobId, operation.name);
+      throw new JobCancelledError(jobId);
+    }
+
+    logger.info('Veo operation submitted', { jobId, operationName: operation.name });
+    return operation;
+  }
+
+  /**
+   * Poll a job's long-running operation until it finishes, then store the result
+   */
+  async trackOperation(jobId) {
+    const job = await jobStore.get(jobId);
+    if (!job || !job.operationName) {
+      throw new VeoApiError(`Job ${jobId} has no Veo operation to track`);
+    }
+
+    const response = await this.waitForOperation(jobId, job.operationName);
+    const results = await this.processGenerationResponse(jobId, response);
+
+    const warnings = results.flatMap((result, sample) =>
+      this.findOutputMismatches(result.metadata, job.params || {})
+        .map((warning) => ({ ...warning, sample }))
+    );
+    if (warnings.length > 0) {
+      logger.warn('Veo output does not match the request', { jobId, warnings });
+    }
+
+    // Some samples were filtered; the rest are delivered and only they are charged
+    const safety = parseRaiFiltering(response);
+    if (safety) {
+      this.recordSafetyBlock(job, safety);
+      warnings.push({
+        code: 'SAFETY_BLOCKED',
+        message: `${safety.filteredCount} video(s) were blocked by safety filters: ${describeCategories(safety.categories).join(', ')}`,
+        categories: safety.categories,
+      });
+    }
+
+    const completedAt = Date.now();
+    await this.updateJobStatus(jobId, {
+      status: 'COMPLETED',
+      // `result` mirrors the first sample for clients that predate sampleCount
+      result: results[0],
+      results,
+      ...(warnings.length > 0 && { warnings }),
+      ...(safety && { safety }),
+      completedAt: new Date(completedAt).toISOString(),
+      videoExpiresAt: new Date(completedAt + this.getRetentionMs(job.priorityClass)).toISOString(),
+    });
+  }
+
+  /**
+   * Poll fetchPredictOperation with exponential backoff until the operation is done
+   * Transient polling errors are retried on the same operation until the polling timeout;
+   * the operation keeps rendering regardless.
+   * @returns {Promise<Object>} Operation response
+   */
+  async waitForOperation(jobId, operationName) {
+    const { initialDelayMs, maxDelayMs, multiplier, timeoutMs } = config.veo.operationPolling;
+    const deadline = Date.now() + timeoutMs;
+    let delay = initialDelayMs;
+
+    for (;;) {
+      await sleep(delay);
+
+      // Stop polling once the job has been cancelled or reaped (possibly by another instance)
+      const job = await jobStore.get(jobId);
+      if (!job || isTerminalStatus(job.status)) {
+        throw new JobCancelledError(jobId);
+      }
+
+      let operation;
+      try {
+        operation = await videoProvider.fetchPredictOperation(operationName);
+      } catch (error) {
+        const classified = classifyVertexError(error);
+        if (!classified.retryable) throw error;
+
+        logger.warn('Retrying Veo operation poll after transient error', {
+          jobId,
+          operationName,
+          code: classified.code,
+        });
+        operation = { done: false };
+      }
+
+      if (operation.done) {
+        if (operation.error) {
+          throw new VeoApiError(operation.error.message || 'Veo operation failed', operation.error);
+        }
+        return operation.response || {};
+      }
+
+      if (Date.now() + delay > deadline) {
+        throw new VeoApiError(`Timed out waiting for Veo operation ${operationName}`, null, 'TIMEOUT');
+      }
+
+      delay = Math.min(delay * multiplier, maxDelayMs);
+    }
+  }
+
+  /**
+   * Resume jobs checkpointed by an instance that shut down
+   * Submitted Vertex operations are tracked again; jobs checkpointed before
+   * submission are queued again with their saved parameters. Each job is claimed
+   * by clearing its checkpointedAt, so only one instance resumes it. Jobs orphaned
+   * without a checkpoint (a crashed instance) are left to reapExpiredJobs.
+   * @returns {Promise<number>} Number of jobs resumed
+   */
+  async resumeProcessingJobs() {
+    const claim = (job) => jobStore.update(job.jobId, { checkpoint: null, checkpointedAt: null }, {
+      ifStatus: [job.status],
+      ifMatch: { checkpointedAt: job.checkpointedAt },
+    });
+
+    const processing = (await jobStore.list({ status: 'PROCESSING' }))
+      .filter((job) => job.operationName && job.checkpointedAt && !this.inFlight.has(job.jobId));
+    let tracked = 0;
+
+    for (const job of processing) {
+      if (!(await claim(job))) continue;
+
+      logger.info('Resuming Veo operation', { jobId: job.jobId, operationName: job.operationName });
+      this.inFlight.set(job.jobId, { mode: job.mode, params: null });
+      // Polling holds a queue slot like any other generation, so QUEUE_CONCURRENCY covers it
+      this.runInBackground(job.jobId, generationQueue.enqueue({
+        jobId: job.jobId,
+        userId: job.userId,
+        priorityClass: job.priorityClass,
+        run: () => this.trackOperation(job.jobId),
+      }), {
+        message: 'Resumed generation failed',
+        userId: job.userId,
+      });
+      tracked++;
+    }
+
+    const checkpointed = (await jobStore.list({ status: 'QUEUED' }))
+      .filter((job) => job.checkpoint && job.checkpointedAt);
+    let requeued = 0;
+
+    for (const job of checkpointed) {
+      if (!(await claim(job))) continue;
+
+      logger.info('Requeueing checkpointed job', { jobId: job.jobId });
+      const user = { uid: job.userId, email: job.userEmail, plan: job.priorityClass };
+      await this.queueGeneration(job.jobId, user, job.checkpoint, 'Resumed generation failed');
+      requeued++;
+    }
+
+    return tracked + requeued;
+  }
+
+  /**
+   * Stop taking new generations and save what is still running so another instance can resume it
+   * @param {number} gracePeriodMs - How long to let running generations finish
+   * @returns {Promise<{ idle: boolean, checkpointed: number }>}
+   */
+  async drain(gracePeriodMs) {
+    generationQueue.pause();
+
+    const idle = await generationQueue.waitForIdle(gracePeriodMs);
+    const jobs = [...this.inFlight.entries()];
+    const results = await Promise.all(jobs.map(([jobId, entry]) => this.checkpointJob(jobId, entry)));
+
+    return { idle, checkpointed: results.filter(Boolean).length };
+  }
+
+  /**
+   * Record an unfinished job as resumable
+   * A submitted Vertex operation keeps rendering and only needs polling again; anything
+   * earlier goes back to QUEUED with the parameters needed to submit it. If that cannot
+   * be saved (e.g. an image too large for the job store) the job fails as retryable.
+   * @returns {Promise<boolean>} Whether the job was checkpointed
+   */
+  async checkpointJob(jobId, { mode, params }) {
+    const checkpointedAt = new Date().toISOString();
+
+    try {
+      const job = await jobStore.get(jobId);
+      if (!job || isTerminalStatus(job.status)) return false;
+
+      if (job.status === 'PROCESSING' && job.operationName) {
+        return Boolean(await jobStore.update(jobId, { checkpointedAt }, { ifStatus: ['PROCESSING'] }));
+      }
+
+      const updated = await jobStore.update(jobId, {
+        status: 'QUEUED',
+        checkpoint: { mode, params },
+        checkpointedAt,
+        queuePosition: null,
+        estimatedStartAt: null,
+      }, { ifStatus: ACTIVE_STATUSES });
+      return Boolean(updated);
+    } catch (error) {
+      logger.error('Failed to checkpoint job', { jobId, error: error.message });
+      await this.updateJobStatus(jobId, {
+        status: 'FAILED',
+        error: {
+          code: 'INTERRUPTED',
+          message: 'Generation was interrupted by a server restart',
+          retryable: true,
+        },
+        completedAt: checkpointedAt,
+      }).catch((failure) => {
+        logger.error('Failed to record job failure', { jobId, error: failure.message });
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Run a generation task in the background and record failures on the job
+   */
+  runInBackground(jobId, task, { message, userId }) {
+    task
+      .finally(() => this.inFlight.delete(jobId))
+      .catch(async (error) => {
+        if (error instanceof JobCancelledError) {
+          logger.info('Generation stopped for cancelled job', { jobId, userId });
+          return;
+        }
+
+        const classified = classifyVertexError(error);
+        logger.error(message, { jobId, userId, error: error.message, code: classified.code });
+        if (classified.safety) {
+          this.recordSafetyBlock(await jobStore.get(jobId), classified.safety);
+        }
+        await this.updateJobStatus(jobId, {
+          status: 'FAILED',
+          error: classified,
+          completedAt: new Date().toISOString(),
+        });
+      })
+      .catch((error) => {
+        logger.error('Failed to record job failure', { jobId, error: error.message });
+      });
+  }
+
+  /**
+   * Log a Responsible AI block for abuse analytics
+   * The prompt itself is not logged; it stays on the job record.
+   */
+  recordSafetyBlock(job, safety) {
+    if (!job) return;
+
+    logger.warn('Veo output blocked by safety filters', {
+      metric: 'veo_safety_blocked',
+      jobId: job.jobId,
+      userId: job.userId,
+      model: job.model,
+      mode: job.mode,
+      requested: job.params ? job.params.sampleCount : undefined,
+      filteredCount: safety.filteredCount,
+      categories: safety.categories,
+      supportCodes: safety.supportCodes,
+    });
+  }
+
+  /**
+   * Process the generation response and store every returned video
+   * @returns {Promise<Object[]>} One result per sample, in response order
    */
   async processGenerationResponse(jobId, response) {
-    if (!response.predictions || response.predictions.length === 0) {
-      throw new VeoApiError('No video generated in response');
+    // Long-running operations return `videos`; the legacy predict response used `predictions`
+    const predictions = response.videos || response.predictions;
+    if (!predictions || predictions.length === 0) {
+      const safety = parseRaiFiltering(response);
+      if (safety) {
+        throw new SafetyBlockedError(
+          `Video was blocked by safety filters: ${describeCategories(safety.categories).join(', ')}`,
+          safety
+        );
+      }
+      throw new VeoApiError('No video generated in response', null, 'NO_OUTPUT');
     }
 
-    const prediction = response.predictions[0];
+    return Promise.all(predictions.map((prediction, index) => this.storePrediction(jobId, prediction, index)));
+  }
 
-    // If response contains video bytes, upload to GCS
+  /**
+   * Store one generated sample and sign a download URL for it
+   * Inline video bytes are uploaded to videos/{jobId}/{index}.mp4.
+   */
+  async storePrediction(jobId, prediction, index) {
+    // If response contains video bytes, upload them to the configured storage
     if (prediction.bytesBase64Encoded) {
       const videoBuffer = Buffer.from(prediction.bytesBase64Encoded, 'base64');
-      const fileName = `videos/${jobId}.mp4`;
-      const file = this.bucket.file(fileName);
+      const metadata = parseMp4(videoBuffer);
 
-      await file.save(videoBuffer, {
+      const videoUri = await storageDriver.save(`videos/${jobId}/${index}.mp4`, videoBuffer, {
+        contentType: 'video/mp4',
         metadata: {
-          contentType: 'video/mp4',
-          metadata: {
-            jobId,
-            generatedAt: new Date().toISOString(),
-          },
+          jobId,
+          sampleIndex: String(index),
+          generatedAt: new Date().toISOString(),
+          ...this.toObjectMetadata(metadata),
         },
       });
 
-      // Generate signed URL
-      const [signedUrl] = await file.getSignedUrl({
-        action: 'read',
-        expires: Date.now() + config.gcs.signedUrlExpiration * 1000,
-      });
-
       return {
-        videoUri: `gs://${config.gcs.bucketName}/${fileName}`,
-        signedUrl,
-        expiresAt: new Date(Date.now() + config.gcs.signedUrlExpiration * 1000).toISOString(),
+        ...(await this.issueSignedUrl(videoUri)),
+        metadata,
       };
     }
 
-    // If response contains a GCS URI directly
+    // If response contains a GCS URI directly, read it back to describe it
     if (prediction.gcsUri) {
+      const videoUri = storageDriver.normalizeUri(prediction.gcsUri);
+      let metadata = null;
+      try {
+        const videoBuffer = await storageDriver.read(videoUri);
+        metadata = parseMp4(videoBuffer);
+        await storageDriver.setMetadata(videoUri, this.toObjectMetadata(metadata));
+      } catch (error) {
+        logger.warn('Failed to read video metadata', { jobId, videoUri, error: error.message });
+      }
+
       return {
-        videoUri: prediction.gcsUri,
-        signedUrl: await this.generateSignedUrl(prediction.gcsUri),
-        expiresAt: new Date(Date.now() + config.gcs.signedUrlExpiration * 1000).toISOString(),
+        ...(await this.issueSignedUrl(videoUri)),
+        metadata,
       };
     }
 
-    throw new VeoApiError('Unexpected response format from Veo API');
+    throw new VeoApiError('Unexpected response format from Veo API', null, 'NO_OUTPUT');
+  }
+
+  /**
+   * Flatten parsed video metadata into custom object metadata (string values only)
+   */
+  toObjectMetadata(metadata) {
+    if (!metadata) return {};
+
+    return Object.fromEntries(
+      Object.entries(metadata)
+        .filter(([, value]) => value !== null)
+        .map(([key, value]) => [`video${key[0].toUpperCase()}${key.slice(1)}`, String(value)])
+    );
   }
 
   /**
-   * Generate a signed URL for a GCS URI
+   * Compare a generated video against what was requested
+   * @param {Object|null} metadata - Parsed video metadata, null if the file could not be read
+   * @param {Object} requested - Job params from buildJobParams
+   * @returns {Array<{ code: string, message: string }>}
    */
-  async generateSignedUrl(gcsUri) {
-    const match = gcsUri.match(/gs:\/\/([^/]+)\/(.+)/);
-    if (!match) {
-      throw new VeoApiError('Invalid GCS URI format');
+  findOutputMismatches(metadata, requested) {
+    if (!metadata) {
+      return [{ code: 'METADATA_UNAVAILABLE', message: 'Output could not be read as MP4' }];
+    }
+
+    const warnings = [];
+
+    if (requested.durationSeconds && Math.abs(metadata.durationSeconds - requested.durationSeconds) > 0.5) {
+      warnings.push({
+        code: 'DURATION_MISMATCH',
+        message: `Requested ${requested.durationSeconds}s, got ${metadata.durationSeconds}s`,
+      });
+    }
+
+    if (requested.aspectRatio && metadata.width && metadata.height) {
+      const [w, h] = requested.aspectRatio.split(':').map(Number);
+      const actual = metadata.width / metadata.height;
+      if (Math.abs(actual - w / h) / (w / h) > 0.02) {
+        warnings.push({
+          code: 'ASPECT_RATIO_MISMATCH',
+          message: `Requested ${requested.aspectRatio}, got ${metadata.width}x${metadata.height}`,
+        });
+      }
+    }
+
+    if (requested.fps && metadata.frameRate && Math.abs(metadata.frameRate - requested.fps) > 1) {
+      warnings.push({
+        code: 'FPS_MISMATCH',
+        message: `Requested ${requested.fps} fps, got ${metadata.frameRate} fps`,
+      });
     }
 
-    const [, bucketName, filePath] = match;
-    const bucket = storage.bucket(bucketName);
-    const file = bucket.file(filePath);
+    if (requested.generateAudio === true && !metadata.hasAudio) {
+      warnings.push({ code: 'AUDIO_MISSING', message: 'Requested audio, but the video has no audio track' });
+    }
+
+    return warnings;
+  }
 
-    const [signedUrl] = await file.getSignedUrl({
-      action: 'read',
-      expires: Date.now() + config.gcs.signedUrlExpiration * 1000,
+  /**
+   * Generate a signed read URL for a stored video
+   * @param {string} videoUri - storage:// URI (or gs:// for videos stored outside our bucket)
+   * @param {Object} [options]
+   * @param {number} [options.expiresAt] - Expiry as epoch milliseconds, defaults to signedUrlExpiration from now
+   * @param {string} [options.downloadName] - Serve as an attachment with this file name
+   */
+  async generateSignedUrl(videoUri, options = {}) {
+    return storageDriver.getSignedReadUrl(videoUri, {
+      expiresAt: options.expiresAt || Date.now() + config.gcs.signedUrlExpiration * 1000,
+      downloadName: options.downloadName,
     });
+  }
 
-    return signedUrl;
+  /**
+   * Sign a stored video and describe it as a job result
+   * @param {string} videoUri - Stored video URI
+   * @param {Object} [options]
+   * @param {number} [options.ttlSeconds] - URL lifetime, defaults to signedUrlExpiration
+   * @param {string} [options.downloadName] - Serve as an attachment with this file name
+   * @returns {Promise<{ videoUri: string, signedUrl: string, expiresAt: string }>}
+   */
+  async issueSignedUrl(videoUri, { ttlSeconds = config.gcs.signedUrlExpiration, downloadName } = {}) {
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+    const signedUrl = await this.generateSignedUrl(videoUri, { expiresAt, downloadName });
+
+    return {
+      videoUri,
+      signedUrl,
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
   }
 
   /**
-   * Convert parameters object to Vertex AI struct format
+   * Re-sign a completed job's URLs if any expire within signedUrlRefreshThreshold
+   * The fresh URLs are saved so later reads reuse them. Signing failures, and jobs whose
+   * video was deleted or purged meanwhile, leave the job unchanged.
+   * @returns {Promise<Object>} The job, possibly with refreshed results
    */
-  structToValue(obj) {
-    const convertValue = (value) => {
-      if (value === null || value === undefined) {
-        return { nullValue: 0 };
-      }
-      if (typeof value === 'boolean') {
-        return { boolValue: value };
-      }
-      if (typeof value === 'number') {
-        return { numberValue: value };
-      }
-      if (typeof value === 'string') {
-        return { stringValue: value };
-      }
-      if (Array.isArray(value)) {
-        return { listValue: { values: value.map(convertValue) } };
-      }
-      if (typeof value === 'object') {
-        return {
-          structValue: {
-            fields: Object.fromEntries(
-              Object.entries(value).map(([k, v]) => [k, convertValue(v)])
-            ),
-          },
-        };
-      }
-      return { stringValue: String(value) };
+  async refreshExpiringUrls(job) {
+    if (!job || job.status !== 'COMPLETED' || !job.result) return job;
+
+    const results = job.results || [job.result];
+    const refreshBefore = Date.now() + config.gcs.signedUrlRefreshThreshold * 1000;
+    if (results.every((result) => Date.parse(result.expiresAt) > refreshBefore)) return job;
+
+    try {
+      const refreshed = await Promise.all(results.map((result) => this.issueSignedUrl(result.videoUri)));
+      // Only while the job still has its video, so a deletion cannot be undone
+      const updated = await jobStore.update(job.jobId, { result: refreshed[0], results: refreshed }, {
+        ifStatus: ['COMPLETED'],
+      });
+      if (!updated) return job;
+
+      logger.info('Refreshed expiring signed URLs', { jobId: job.jobId, count: refreshed.length });
+      return { ...job, ...updated };
+    } catch (error) {
+      logger.warn('Failed to refresh signed URLs', { jobId: job.jobId, error: error.message });
+      return job;
+    }
+  }
+
+  /**
+   * Get one of a completed job's videos, enforcing ownership like getJobStatus
+   * @param {string} jobId - Job ID
+   * @param {string} userId - Owner UID
+   * @param {number} [sample] - Index into the job's results, defaults to 0
+   * @returns {Promise<{ result: Object, sampleCount: number }|null>} Null if the job does not exist for this user
+   * @throws {ConflictError} If the job has no video yet
+   * @throws {GoneError} If the video has been deleted
+   * @throws {NotFoundError} If the sample does not exist
+   */
+  async getCompletedResult(jobId, userId, sample = 0) {
+    const job = await this.getJobStatus(jobId, userId);
+    if (!job) return null;
+
+    if (job.status === 'EXPIRED') {
+      throw new GoneError(`Video for job ${jobId} has been deleted`);
+    }
+
+    if (job.status !== 'COMPLETED' || !job.result) {
+      throw new ConflictError(`Job ${jobId} has no video yet (status ${job.status})`);
+    }
+
+    const results = job.results || [job.result];
+    if (sample >= results.length) {
+      throw new NotFoundError(`Job ${jobId} has no sample ${sample}`);
+    }
+
+    return { result: results[sample], sampleCount: results.length };
+  }
+
+  /**
+   * File name offered to clients saving a job's video
+   */
+  getVideoFileName(jobId, sample, sampleCount) {
+    return sampleCount > 1 ? `${jobId}-${sample}.mp4` : `${jobId}.mp4`;
+  }
+
+  /**
+   * Mint a fresh signed URL for one of a completed job's videos
+   * @param {string} jobId - Job ID
+   * @param {string} userId - Owner UID
+   * @param {Object} [options]
+   * @param {number} [options.sample] - Index into the job's results, defaults to 0
+   * @param {number} [options.ttlSeconds] - URL lifetime
+   * @param {boolean} [options.download] - Serve as an attachment instead of inline
+   * @returns {Promise<Object|null>} Null if the job does not exist for this user
+   */
+  async getVideoUrl(jobId, userId, { sample = 0, ttlSeconds, download = false } = {}) {
+    const completed = await this.getCompletedResult(jobId, userId, sample);
+    if (!completed) return null;
+
+    const downloadName = download
+      ? this.getVideoFileName(jobId, sample, completed.sampleCount)
+      : undefined;
+
+    return {
+      sample,
+      ...(await this.issueSignedUrl(completed.result.videoUri, { ttlSeconds, downloadName })),
     };
+  }
+
+  /**
+   * Open one of a completed job's videos for streaming through the API
+   * @param {string} jobId - Job ID
+   * @param {string} userId - Owner UID
+   * @param {number} [sample] - Index into the job's results, defaults to 0
+   * @returns {Promise<{ stat: Object, fileName: string, createReadStream: Function }|null>}
+   *   Null if the job does not exist for this user
+   * @throws {NotFoundError} If the video object no longer exists
+   */
+  async getVideoContent(jobId, userId, sample = 0) {
+    const completed = await this.getCompletedResult(jobId, userId, sample);
+    if (!completed) return null;
+
+    const { videoUri } = completed.result;
+    const stat = await storageDriver.stat(videoUri);
+    if (!stat) {
+      throw new NotFoundError(`Video for job ${jobId} is no longer available`);
+    }
 
     return {
-      structValue: {
-        fields: Object.fromEntries(
-          Object.entries(obj).map(([k, v]) => [k, convertValue(v)])
-        ),
-      },
+      stat,
+      fileName: this.getVideoFileName(jobId, sample, completed.sampleCount),
+      createReadStream: (range) => storageDriver.createReadStream(videoUri, range),
     };
   }
 
+  /**
+   * Create a job record in the job store
+   * @param {string} jobId - Job ID
+   * @param {Object} job - Initial job fields
+   */
+  async createJob(jobId, job) {
+    // Keep the record past the video's retention so the purge can still find its files
+    const ttlMs = config.jobStore.ttlMs + this.getRetentionMs(job.priorityClass);
+    return jobStore.put(jobId, { ...job, updatedAt: job.createdAt }, { ttlMs });
+  }
+
+  /**
+   * How long a user's generated videos are kept
+   * @param {string} plan - Priority class / Firebase `plan` claim
+   */
+  getRetentionMs(plan) {
+    const hours = config.retention.hoursByPlan[plan] || config.retention.defaultHours;
+    return hours * 60 * 60 * 1000;
+  }
+
   /**
    * Update job status in store
+   * Status changes only apply to jobs that are still active, so a cancelled or
+   * finished job is never overwritten by a late result.
+   * @returns {Promise<Object|null>} Updated job, or null if it no longer exists or already finished
+   */
+  async updateJobStatus(jobId, updates) {
+    const options = updates.status ? { ifStatus: ACTIVE_STATUSES } : {};
+    const job = await jobStore.update(jobId, { ...updates, updatedAt: new Date().toISOString() }, options);
+
+    if (job && isTerminalStatus(job.status) && updates.status) {
+      return this.finalizeJob(job);
+    }
+
+    return job;
+  }
+
+  /**
+   * Settle quota and notify the callback URL once a job reaches a terminal status
+   */
+  async finalizeJob(job) {
+    const settled = await this.settleQuota(job);
+
+    if (settled.callbackUrl) {
+      webhookService.notify(settled).catch((error) => {
+        logger.error('Webhook delivery crashed', { jobId: settled.jobId, error: error.message });
+      });
+    }
+
+    return settled;
+  }
+
+  /**
+   * Build the quota section of a job record from a reservation
+   */
+  buildQuotaRecord(reservation) {
+    if (!reservation) return undefined;
+
+    return {
+      reservationId: reservation.reservationId,
+      date: reservation.date,
+      units: reservation.units,
+      status: 'RESERVED',
+      refunded: false,
+    };
+  }
+
+  /**
+   * Commit a finished job's quota reservation on success, release it otherwise
+   * @returns {Promise<Object>} Job with its quota record updated
+   */
+  async settleQuota(job) {
+    if (!job.quota || job.quota.status !== 'RESERVED') return job;
+
+    const { reservationId, date } = job.quota;
+    let quota;
+
+    try {
+      if (job.status === 'COMPLETED') {
+        // Charge only for the samples Vertex actually returned
+        const units = job.results ? Math.min(job.results.length, job.quota.units) : job.quota.units;
+        await quotaService.commitQuota(job.userId, reservationId, date, units);
+        quota = { ...job.quota, status: 'COMMITTED', units };
+      } else {
+        const refunded = await quotaService.releaseQuota(job.userId, reservationId, date);
+        quota = { ...job.quota, status: 'RELEASED', refunded };
+      }
+    } catch (error) {
+      // The reservation stays counted until the day's quota resets
+      logger.error('Failed to settle quota', { jobId: job.jobId, reservationId, error: error.message });
+      return job;
+    }
+
+    return (await jobStore.update(job.jobId, { quota })) || job;
+  }
+
+  /**
+   * Cancel a queued or processing job; its quota reservation is released
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID to verify ownership
+   * @returns {Promise<Object|null>} Cancelled job, or null if not found for this user
+   * @throws {ConflictError} If the job has already finished
+   */
+  async cancelJob(jobId, userId) {
+    const job = await this.getJobStatus(jobId, userId);
+    if (!job) return null;
+
+    const now = new Date().toISOString();
+    const cancelled = await this.updateJobStatus(jobId, {
+      status: 'CANCELLED',
+      cancelledAt: now,
+      completedAt: now,
+    });
+
+    if (!cancelled) {
+      throw new ConflictError(`Job ${jobId} has already finished and cannot be cancelled`);
+    }
+
+    // Drop it from the queue if it has not started on this instance; other instances
+    // see the CANCELLED status when they try to start it
+    generationQueue.remove(jobId, new JobCancelledError(jobId));
+
+    if (cancelled.operationName) {
+      await this.cancelOperation(jobId, cancelled.operationName);
+    }
+
+    logger.info('Job cancelled', { jobId, userId });
+    return cancelled;
+  }
+
+  /**
+   * Cancel a Vertex operation, logging rather than throwing on failure
    */
-  updateJobStatus(jobId, updates) {
-    const existing = jobStore.get(jobId) || {};
-    jobStore.set(jobId, { ...existing, ...updates, jobId });
+  async cancelOperation(jobId, operationName) {
+    try {
+      await videoProvider.cancelOperation(operationName);
+    } catch (error) {
+      logger.warn('Failed to cancel Veo operation', { jobId, operationName, error: error.message });
+    }
   }
 
   /**
@@ -404,29 +1238,228 @@ class VeoService {
    * @param {string} jobId - Job ID
    * @param {string} userId - User ID to verify ownership
    */
-  getJobStatus(jobId, userId = null) {
-    const job = jobStore.get(jobId);
+  async getJobStatus(jobId, userId = null) {
+    const job = await jobStore.get(jobId);
     if (!job) return null;
 
     // If userId provided, verify ownership
-    if (userId && job.userId !== userId) {
+    if (userId && !this.isJobOwner(job, userId)) {
       return null; // Don't reveal job exists to non-owner
     }
 
-    return job;
+    return this.withQueueInfo(job);
+  }
+
+  /**
+   * Watch a job for changes made by this or any other instance sharing the job store
+   * @param {string} jobId - Job ID
+   * @param {Function} listener - Called with the updated job, or null once it is deleted
+   * @returns {Function} Unsubscribe function
+   */
+  watchJob(jobId, listener) {
+    return jobStore.subscribe(jobId, listener);
   }
 
   /**
-   * Clean up old jobs (call periodically)
+   * Check whether a user owns a job
    */
-  cleanupOldJobs(maxAgeMs = 24 * 60 * 60 * 1000) {
+  isJobOwner(job, userId) {
+    return job.userId === userId;
+  }
+
+  /**
+   * List a user's jobs with cursor pagination
+   * @param {string} userId - Owner UID
+   * @param {Object} [options]
+   * @param {string[]} [options.status] - Statuses to include
+   * @param {string} [options.mode] - Generation mode
+   * @param {string} [options.createdFrom] - ISO timestamp, inclusive
+   * @param {string} [options.createdTo] - ISO timestamp, exclusive
+   * @param {string} [options.sortBy] - createdAt or updatedAt
+   * @param {string} [options.order] - asc or desc
+   * @param {number} [options.limit] - Page size
+   * @param {string} [options.cursor] - Cursor from a previous page
+   * @returns {Promise<{ jobs: Object[], nextCursor: string|null }>}
+   */
+  async listJobs(userId, options = {}) {
+    const {
+      status,
+      mode,
+      createdFrom,
+      createdTo,
+      sortBy = 'createdAt',
+      order = 'desc',
+      limit = 20,
+      cursor,
+    } = options;
+
+    const filter = { userId, status, mode, createdFrom, createdTo };
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    // The job store pages by creation time itself; fetch one extra job to see if there is more
+    if (sortBy === 'createdAt') {
+      const fetched = (await jobStore.list(filter, {
+        order,
+        limit: limit + 1,
+        after: after && { createdAt: after.value, id: after.jobId },
+      })).filter((job) => this.isJobOwner(job, userId));
+      const page = fetched.slice(0, limit);
+      const last = page[page.length - 1];
+
+      return {
+        jobs: page.map((job) => this.withQueueInfo(job)),
+        nextCursor: fetched.length > limit ? encodeCursor({ value: last.createdAt, jobId: last.jobId }) : null,
+      };
+    }
+
+    const jobs = (await jobStore.list(filter))
+      .filter((job) => this.isJobOwner(job, userId));
+
+    // Sort by the requested timestamp, using jobId as a stable tie-breaker
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = (a, b) => {
+      if (a.value !== b.value) return (a.value < b.value ? -1 : 1) * direction;
+      if (a.jobId !== b.jobId) return (a.jobId < b.jobId ? -1 : 1) * direction;
+      return 0;
+    };
+
+    const keyed = jobs
+      .map((job) => ({ job, key: { value: job[sortBy] || '', jobId: job.jobId } }))
+      .sort((a, b) => compare(a.key, b.key));
+
+    const start = after
+      ? keyed.findIndex(({ key }) => compare(key, after) > 0)
+      : 0;
+    const page = start === -1 ? [] : keyed.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < keyed.length;
+
+    return {
+      jobs: page.map(({ job }) => this.withQueueInfo(job)),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1].key) : null,
+    };
+  }
+
+  /**
+   * Fail active jobs that are past their deadline (call periodically)
+   * Covers hung Vertex calls and jobs orphaned by an instance that died. Safe to run
+   * on several instances at once: only the first status update wins.
+   * @returns {Promise<number>} Number of jobs failed
+   */
+  async reapExpiredJobs() {
     const now = Date.now();
-    for (const [jobId, job] of jobStore.entries()) {
-      const createdAt = new Date(job.createdAt).getTime();
-      if (now - createdAt > maxAgeMs) {
-        jobStore.delete(jobId);
+    const expired = (await jobStore.list({ status: ACTIVE_STATUSES }))
+      .filter((job) => this.getJobDeadline(job) <= now);
+
+    let reaped = 0;
+    for (const job of expired) {
+      const failed = await this.updateJobStatus(job.jobId, {
+        status: 'FAILED',
+        error: {
+          code: 'TIMEOUT',
+          message: 'Job did not finish before its deadline',
+          retryable: false,
+        },
+        completedAt: new Date(now).toISOString(),
+      });
+      if (!failed) continue; // Finished or reaped elsewhere in the meantime
+
+      reaped++;
+      generationQueue.remove(job.jobId, new JobCancelledError(job.jobId));
+      if (job.operationName) {
+        await this.cancelOperation(job.jobId, job.operationName);
       }
+
+      logger.warn('Job deadline exceeded', {
+        metric: 'veo_job_reaped',
+        jobId: job.jobId,
+        userId: job.userId,
+        mode: job.mode,
+        status: job.status,
+        deadlineAt: new Date(this.getJobDeadline(job)).toISOString(),
+        overdueMs: now - this.getJobDeadline(job),
+      });
+    }
+
+    return reaped;
+  }
+
+  /**
+   * Delete a completed job's video files right away
+   * The job stays as an EXPIRED tombstone. Deleting again returns the tombstone.
+   * @param {string} jobId - Job ID
+   * @param {string} userId - Owner UID
+   * @returns {Promise<Object|null>} Tombstone, or null if the job does not exist for this user
+   * @throws {ConflictError} If the job has not completed
+   */
+  async deleteVideo(jobId, userId) {
+    const job = await this.getJobStatus(jobId, userId);
+    if (!job) return null;
+    if (job.status === 'EXPIRED') return job;
+
+    if (job.status !== 'COMPLETED') {
+      throw new ConflictError(`Job ${jobId} has no video to delete (status ${job.status})`);
+    }
+
+    await this.deleteVideoObjects(job);
+
+    const expired = await jobStore.update(jobId, {
+      status: 'EXPIRED',
+      expiredAt: new Date().toISOString(),
+      result: null,
+      results: null,
+    }, { ifStatus: ['COMPLETED'] });
+
+    logger.info('Video deleted by user', { jobId, userId });
+    return expired || jobStore.get(jobId);
+  }
+
+  /**
+   * Delete every stored video of a job, ignoring files that are already gone
+   */
+  async deleteVideoObjects(job) {
+    const results = job.results || (job.result ? [job.result] : []);
+    await Promise.all(results.map((result) =>
+      storageDriver.delete(result.videoUri)
+    ));
+  }
+
+  /**
+   * Delete videos past their retention together with their job records (call periodically)
+   * @returns {Promise<number>} Number of jobs purged
+   */
+  async purgeExpiredVideos() {
+    const now = Date.now();
+    const expired = (await jobStore.list({ status: 'COMPLETED' }))
+      .filter((job) => job.videoExpiresAt && Date.parse(job.videoExpiresAt) <= now);
+
+    let purged = 0;
+    for (const job of expired) {
+      try {
+        await this.deleteVideoObjects(job);
+        await jobStore.delete(job.jobId);
+        purged++;
+      } catch (error) {
+        // Left in place so the next run retries
+        logger.error('Failed to purge expired video', { jobId: job.jobId, error: error.message });
+      }
+    }
+
+    if (purged > 0) {
+      logger.info('Purged expired videos', { count: purged });
+    }
+    return purged;
+  }
+
+  /**
+   * Clean up expired jobs (call periodically)
+   * Jobs expire after config.jobStore.ttlMs; stores with native TTL only prune indexes here.
+   */
+  async cleanupOldJobs() {
+    const removed = await jobStore.deleteExpired();
+    if (removed > 0) {
+      logger.info('Cleaned up expired jobs', { count: removed });
     }
+    return removed;
   }
 }
 
@@ -0,0 +1,65 @@
+const { google } = require('googleapis');
+const { config } = require('../config');
+
+/**
+ * Minimal Vertex AI REST client for Veo long-running predictions.
+ * The Vertex AI Node SDK's gRPC PredictionServiceClient does not expose
+ * predictLongRunning / fetchPredictOperation, so these go over REST with ADC.
+ */
+class VertexClient {
+  constructor() {
+    this.baseUrl = `https://${config.gcp.region}-aiplatform.googleapis.com/v1`;
+    this.auth = new google.auth.GoogleAuth({
+      scopes: ['https://www.googleapis.com/auth/cloud-platform'],
+    });
+  }
+
+  async request(path, data) {
+    const client = await this.auth.getClient();
+    const response = await client.request({
+      url: `${this.baseUrl}/${path}`,
+      method: 'POST',
+      data,
+    });
+    return response.data;
+  }
+
+  /**
+   * Submit a long-running prediction
+   * @param {string} endpoint - Model resource name
+   * @param {Object[]} instances - Prediction instances
+   * @param {Object} parameters - Prediction parameters
+   * @returns {Promise<{ name: string }>} Operation
+   */
+  async predictLongRunning(endpoint, instances, parameters) {
+    return this.request(`${endpoint}:predictLongRunning`, { instances, parameters });
+  }
+
+  /**
+   * Fetch the current state of a long-running prediction
+   * @param {string} operationName - Operation resource name
+   * @returns {Promise<{ name: string, done?: boolean, response?: Object, error?: Object }>}
+   */
+  async fetchPredictOperation(operationName) {
+    return this.request(`${VertexClient.endpointFromOperation(operationName)}:fetchPredictOperation`, {
+      operationName,
+    });
+  }
+
+  /**
+   * Request cancellation of a long-running prediction (best effort)
+   * @param {string} operationName - Operation resource name
+   */
+  async cancelOperation(operationName) {
+    return this.request(`${operationName}:cancel`, {});
+  }
+
+  /**
+   * Get the model resource name an operation belongs to
+   */
+  static endpointFromOperation(operationName) {
+    return operationName.split('/operations/')[0];
+  }
+}
+
+module.exports = new VertexClient();
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { isPrivateAddress } = require('../utils/urlSafety');
+const { serializeJob } = require('../utils/jobSerializer');
+const { jobStore } = require('./jobStore');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Response codes worth retrying; other 4xx responses mean the receiver rejected the payload
+const RETRYABLE_STATUS_CODES = [408, 425, 429];
+
+const unsafeTargetError = (host) => {
+  const error = new Error(`Callback host ${host} resolves to an internal address`);
+  error.unsafeTarget = true;
+  return error;
+};
+
+/**
+ * dns.lookup for webhook sockets: refuses internal addresses, and the socket connects to
+ * the address that was checked, so a DNS rebinding between check and connect cannot happen
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(unsafeTargetError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Own agent so webhook requests never reuse a socket opened without publicLookup
+const webhookAgent = new https.Agent({ lookup: publicLookup });
+
+class WebhookService {
+  /**
+   * Sign a payload: HMAC-SHA256 over "<timestamp>.<body>"
+   * Receivers recompute this with the shared secret and compare in constant time.
+   * @param {string} body - Raw JSON body
+   * @param {number} timestamp - Unix seconds
+   * @returns {string} Signature header value, e.g. "t=1700000000,v1=<hex>"
+   */
+  sign(body, timestamp) {
+    const signature = crypto
+      .createHmac('sha256', config.webhooks.signingSecret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Deliver a job's terminal status to its callback URL, retrying with backoff
+   * Every attempt is appended to the job's webhook delivery log.
+   * @param {Object} job - Job that just reached a terminal status
+   */
+  async notify(job) {
+    if (!job.callbackUrl) return;
+
+    const event = `job.${job.status.toLowerCase()}`;
+    const deliveryId = uuidv4();
+    const body = JSON.stringify({
+      id: deliveryId,
+      event,
+      createdAt: new Date().toISOString(),
+      data: serializeJob(job),
+    });
+
+    const { maxAttempts, initialDelayMs, maxDelayMs } = config.webhooks;
+    const deliveries = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const entry = await this.attemptDelivery(job.callbackUrl, body, { deliveryId, event, attempt });
+      deliveries.push(entry);
+
+      const finished = entry.success || !entry.retryable || attempt === maxAttempts;
+      const status = entry.success ? 'DELIVERED' : (finished ? 'FAILED' : 'RETRYING');
+      await jobStore.update(job.jobId, { webhook: { deliveryId, event, status, deliveries } });
+
+      if (finished) {
+        const meta = {
+          jobId: job.jobId,
+          event,
+          attempts: attempt,
+          statusCode: entry.statusCode,
+          error: entry.error,
+        };
+        if (entry.success) {
+          logger.info('Webhook delivered', meta);
+        } else {
+          logger.warn('Webhook delivery failed', meta);
+        }
+        return;
+      }
+
+      // Exponential backoff with full jitter
+      const delay = Math.min(initialDelayMs * 2 ** (attempt - 1), maxDelayMs);
+      await sleep(Math.random() * delay);
+    }
+  }
+
+  /**
+   * Make one delivery attempt
+   * @returns {Promise<Object>} Delivery log entry
+   */
+  async attemptDelivery(url, body, { deliveryId, event, attempt }) {
+    const attemptedAt = new Date().toISOString();
+    const start = Date.now();
+    const timestamp = Math.floor(start / 1000);
+
+    try {
+      const statusCode = await this.post(url, body, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'veo-backend-webhooks/1.0',
+        'X-Veo-Event': event,
+        'X-Veo-Delivery': deliveryId,
+        'X-Veo-Signature': this.sign(body, timestamp),
+      });
+
+      const success = statusCode >= 200 && statusCode < 300;
+      return {
+        attempt,
+        attemptedAt,
+        durationMs: Date.now() - start,
+        statusCode,
+        success,
+        retryable: !success && (statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(statusCode)),
+      };
+    } catch (error) {
+      return {
+        attempt,
+        attemptedAt,
+        durationMs: Date.now() - start,
+        error: error.message,
+        success: false,
+        retryable: !error.unsafeTarget,
+      };
+    }
+  }
+
+  /**
+   * POST a body to a callback URL, connecting only to public addresses
+   * Redirects are never followed: the target could point at an internal address.
+   * @returns {Promise<number>} Response status code
+   */
+  post(url, body, headers) {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    // IP literals skip the lookup, so check them here
+    if (net.isIP(host) && isPrivateAddress(host)) {
+      return Promise.reject(unsafeTargetError(host));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = https.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        agent: webhookAgent,
+        signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+module.exports = {
+  webhookService: new WebhookService(),
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { parseMp4 } = require('../mp4');
+
+const MOCK_VIDEO = fs.readFileSync(path.join(__dirname, '../../assets/mock-video.mp4'));
+
+// Box layout of the mock video: ftyp at 0, moov at 32 (1388 bytes), mdat at 1420
+const MOOV_START = 32;
+const MOOV_END = 1420;
+
+const box = (type, payload = Buffer.alloc(0), size = 8 + payload.length) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(size);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+};
+
+describe('parseMp4', () => {
+  it('describes the bundled mock video', () => {
+    expect(parseMp4(MOCK_VIDEO)).toEqual({
+      durationSeconds: 8,
+      width: 1280,
+      height: 720,
+      frameRate: 24,
+      videoCodec: 'avc1',
+      audioCodec: null,
+      hasAudio: false,
+      byteSize: 7137,
+    });
+  });
+
+  it('returns null when the moov box is cut off', () => {
+    expect(parseMp4(MOCK_VIDEO.subarray(0, MOOV_START + 8))).toBeNull();
+    expect(parseMp4(MOCK_VIDEO.subarray(0, Math.floor((MOOV_START + MOOV_END) / 2)))).toBeNull();
+    expect(parseMp4(MOCK_VIDEO.subarray(0, MOOV_END - 1))).toBeNull();
+  });
+
+  it('never throws on a truncated file', () => {
+    for (let length = 0; length < MOOV_END; length++) {
+      expect(() => parseMp4(MOCK_VIDEO.subarray(0, length))).not.toThrow();
+    }
+  });
+
+  it('still reads a file whose media data is truncated', () => {
+    // moov comes first, so everything but the byte size is known without mdat
+    expect(parseMp4(MOCK_VIDEO.subarray(0, MOOV_END))).toMatchObject({
+      durationSeconds: 8,
+      width: 1280,
+      height: 720,
+      byteSize: MOOV_END,
+    });
+  });
+
+  it('returns null for an empty buffer', () => {
+    expect(parseMp4(Buffer.alloc(0))).toBeNull();
+  });
+
+  it('returns null for data that is not an MP4', () => {
+    expect(parseMp4(Buffer.from('<html><body>Not found</body></html>'))).toBeNull();
+  });
+
+  it('returns null when a box is shorter than its fields', () => {
+    // mvhd with no payload: reading its timescale runs past the end of the buffer
+    expect(parseMp4(box('moov', box('mvhd')))).toBeNull();
+  });
+
+  it('returns null when a box claims more bytes than the file holds', () => {
+    expect(parseMp4(box('moov', box('mvhd', Buffer.alloc(100)), 4096))).toBeNull();
+  });
+});
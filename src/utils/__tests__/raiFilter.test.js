@@ -0,0 +1,84 @@
+const {
+  categorizeReason,
+  summarizeReasons,
+  parseRaiFiltering,
+  describeCategories,
+} = require('../raiFilter');
+
+const reason = (codes) => `The video could not be generated because it violates Vertex AI's usage guidelines. Support codes: ${codes}`;
+
+describe('categorizeReason', () => {
+  it.each([
+    ['58061214', 'CHILD_SAFETY'],
+    ['39322892', 'CHILD_SAFETY'],
+    ['29310472', 'CELEBRITY'],
+    ['92201652', 'PERSONAL_INFORMATION'],
+    ['90789179', 'SEXUAL'],
+    ['61493863', 'VIOLENCE'],
+    ['57734940', 'HATE'],
+    ['62263041', 'DANGEROUS_CONTENT'],
+    ['89371032', 'PROHIBITED_CONTENT'],
+    ['64151117', 'VIDEO_SAFETY'],
+  ])('maps support code %s to %s', (code, category) => {
+    expect(categorizeReason(reason(code))).toEqual({ supportCodes: [code], categories: [category] });
+  });
+
+  it('reads several support codes and drops duplicate categories', () => {
+    expect(categorizeReason(reason('58061214, 39322892, 92201652'))).toEqual({
+      supportCodes: ['58061214', '39322892', '92201652'],
+      categories: ['CHILD_SAFETY', 'PERSONAL_INFORMATION'],
+    });
+  });
+
+  it('falls back to keywords when no support code is known', () => {
+    expect(categorizeReason('Prompt contains a celebrity. Support code: 11111111')).toEqual({
+      supportCodes: ['11111111'],
+      categories: ['CELEBRITY'],
+    });
+    expect(categorizeReason('The prompt may contain personally identifiable information').categories)
+      .toEqual(['PERSONAL_INFORMATION']);
+  });
+
+  it('reports OTHER when nothing is recognized', () => {
+    expect(categorizeReason('Something went wrong')).toEqual({ supportCodes: [], categories: ['OTHER'] });
+    expect(categorizeReason(undefined)).toEqual({ supportCodes: [], categories: ['OTHER'] });
+  });
+});
+
+describe('summarizeReasons', () => {
+  it('merges the categories and support codes of every reason', () => {
+    const reasons = [reason('29310472'), reason('92201652, 29310472')];
+
+    expect(summarizeReasons(reasons, 2)).toEqual({
+      filteredCount: 2,
+      categories: ['CELEBRITY', 'PERSONAL_INFORMATION'],
+      supportCodes: ['29310472', '92201652'],
+      reasons,
+    });
+  });
+});
+
+describe('parseRaiFiltering', () => {
+  it('returns null when nothing was filtered', () => {
+    expect(parseRaiFiltering({ videos: [{}] })).toBeNull();
+    expect(parseRaiFiltering(undefined)).toBeNull();
+  });
+
+  it('summarizes filtered videos', () => {
+    expect(parseRaiFiltering({
+      raiMediaFilteredCount: 1,
+      raiMediaFilteredReasons: [reason('39322892')],
+    })).toMatchObject({ filteredCount: 1, categories: ['CHILD_SAFETY'], supportCodes: ['39322892'] });
+  });
+
+  it('counts the reasons when the count is missing', () => {
+    expect(parseRaiFiltering({ raiMediaFilteredReasons: [reason('61493863'), reason('57734940')] }))
+      .toMatchObject({ filteredCount: 2, categories: ['VIOLENCE', 'HATE'] });
+  });
+});
+
+describe('describeCategories', () => {
+  it('labels known categories and passes unknown ones through', () => {
+    expect(describeCategories(['PERSONAL_INFORMATION', 'CUSTOM'])).toEqual(['Personal information', 'CUSTOM']);
+  });
+});
@@ -22,22 +22,69 @@ class AuthenticationError extends AppError {
   }
 }
 
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied') {
+    super(message, 403, 'FORBIDDEN');
+  }
+}
+
 class NotFoundError extends AppError {
   constructor(message = 'Resource not found') {
     super(message, 404, 'NOT_FOUND');
   }
 }
 
+class ConflictError extends AppError {
+  constructor(message = 'Request conflicts with the current state of the resource') {
+    super(message, 409, 'CONFLICT');
+  }
+}
+
+class GoneError extends AppError {
+  constructor(message = 'Resource is no longer available') {
+    super(message, 410, 'GONE');
+  }
+}
+
+class PromptRejectedError extends AppError {
+  constructor(categories, details = []) {
+    super(`Prompt was rejected by the content policy: ${categories.join(', ')}`, 422, 'PROMPT_REJECTED');
+    this.categories = categories;
+    this.details = details;
+  }
+}
+
 class RateLimitError extends AppError {
   constructor(message = 'Too many requests') {
     super(message, 429, 'RATE_LIMIT_EXCEEDED');
   }
 }
 
+class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service is temporarily unavailable') {
+    super(message, 503, 'SERVICE_UNAVAILABLE');
+  }
+}
+
 class VeoApiError extends AppError {
-  constructor(message, originalError = null) {
+  constructor(message, originalError = null, jobErrorCode = null) {
     super(message, 502, 'VEO_API_ERROR');
     this.originalError = originalError;
+    this.jobErrorCode = jobErrorCode; // Overrides classification, see utils/vertexErrors
+  }
+}
+
+class SafetyBlockedError extends VeoApiError {
+  constructor(message, safety) {
+    super(message, null, 'SAFETY_BLOCKED');
+    this.safety = safety; // See utils/raiFilter
+  }
+}
+
+class JobCancelledError extends AppError {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`, 409, 'JOB_CANCELLED');
+    this.jobId = jobId;
   }
 }
 
@@ -51,8 +98,15 @@ module.exports = {
   AppError,
   ValidationError,
   AuthenticationError,
+  ForbiddenError,
   NotFoundError,
+  ConflictError,
+  GoneError,
+  PromptRejectedError,
   RateLimitError,
+  ServiceUnavailableError,
   VeoApiError,
+  SafetyBlockedError,
+  JobCancelledError,
   UnsupportedModeError,
 };
@@ -0,0 +1,118 @@
+const { describeCategories } = require('./raiFilter');
+
+/**
+ * Shape Responsible AI filtering for API responses (support codes and raw reasons stay internal)
+ */
+const serializeSafety = (safety) => {
+  const labels = describeCategories(safety.categories);
+  return {
+    filteredCount: safety.filteredCount,
+    categories: safety.categories.map((code, index) => ({ code, label: labels[index] })),
+  };
+};
+
+/**
+ * Normalize a stored job error to { code, message, retryable }
+ * Jobs failed before errors were classified stored a bare message.
+ */
+const serializeError = (error) => {
+  if (!error) return null;
+
+  if (typeof error === 'string') {
+    return { code: 'UNKNOWN', message: error, retryable: false };
+  }
+
+  return {
+    code: error.code,
+    message: error.message,
+    retryable: error.retryable,
+    ...(error.safety && { safety: serializeSafety(error.safety) }),
+  };
+};
+
+/**
+ * Shape one generated video for API responses
+ */
+const serializeResult = (result) => ({
+  videoUri: result.videoUri,
+  signedUrl: result.signedUrl,
+  expiresAt: result.expiresAt,
+  metadata: result.metadata || null,
+});
+
+/**
+ * Shape a stored job for API responses
+ * Internal fields (operation names, user email, request params) are not exposed.
+ * @param {Object} job - Job record from the job store
+ * @returns {Object}
+ */
+const serializeJob = (job) => {
+  const data = {
+    jobId: job.jobId,
+    status: job.status,
+    mode: job.mode,
+    createdAt: job.createdAt,
+  };
+
+  // Jobs created before per-request models have no model recorded
+  if (job.model) {
+    data.model = job.model;
+  }
+
+  // The exact prompt sent to the model and the template that produced it, for reproducing results
+  if (job.compiledPrompt) {
+    data.compiledPrompt = job.compiledPrompt;
+    data.promptTemplate = job.promptTemplate;
+  }
+
+  // Queue details are only meaningful while waiting
+  if (job.status === 'QUEUED') {
+    data.queuePosition = job.queuePosition;
+    data.estimatedStartAt = job.estimatedStartAt;
+  }
+
+  // Include result details if completed
+  // Client will use signedUrl to download, then upload to their own storage.
+  // `result` is the first sample, kept for clients that predate sampleCount.
+  if (job.status === 'COMPLETED' && job.result) {
+    data.result = serializeResult(job.result);
+    data.results = (job.results || [job.result]).map(serializeResult);
+    data.completedAt = job.completedAt;
+    data.videoExpiresAt = job.videoExpiresAt;
+
+    // Differences between the request and the actual output, e.g. a rounded duration
+    if (job.warnings) {
+      data.warnings = job.warnings;
+    }
+  }
+
+  // Include error if failed
+  if (job.status === 'FAILED') {
+    data.error = serializeError(job.error);
+    data.completedAt = job.completedAt;
+  }
+
+  if (job.attempts) {
+    data.attempts = job.attempts;
+  }
+
+  if (job.status === 'CANCELLED') {
+    data.cancelledAt = job.cancelledAt;
+    data.completedAt = job.completedAt;
+  }
+
+  // Tombstone of a job whose video was deleted
+  if (job.status === 'EXPIRED') {
+    data.completedAt = job.completedAt;
+    data.expiredAt = job.expiredAt;
+  }
+
+  // Tell clients whether the daily quota unit was given back for a failed or cancelled job
+  if (job.quota && job.quota.status === 'RELEASED') {
+    data.quotaRefunded = job.quota.refunded;
+  }
+
+  return data;
+};
+
+module.exports = { serializeJob };
@@ -0,0 +1,22 @@
+/**
+ * Job lifecycle statuses
+ * QUEUED -> PROCESSING -> COMPLETED | FAILED, or CANCELLED by the user before finishing.
+ * COMPLETED -> EXPIRED once the user deletes the video; the job remains as a tombstone.
+ * PENDING is kept for jobs created before the generation queue existed.
+ */
+const JOB_STATUSES = ['PENDING', 'QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED', 'EXPIRED'];
+
+// Statuses a job never leaves once reached (except COMPLETED -> EXPIRED)
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED', 'EXPIRED'];
+
+// Statuses that can still transition
+const ACTIVE_STATUSES = JOB_STATUSES.filter((status) => !TERMINAL_STATUSES.includes(status));
+
+const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+module.exports = {
+  JOB_STATUSES,
+  TERMINAL_STATUSES,
+  ACTIVE_STATUSES,
+  isTerminalStatus,
+};
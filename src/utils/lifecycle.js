@@ -0,0 +1,15 @@
+/**
+ * Process lifecycle state shared by the server, health checks and routes
+ */
+let shuttingDown = false;
+
+/**
+ * Whether the process has started shutting down and should refuse new work
+ */
+const isShuttingDown = () => shuttingDown;
+
+const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+module.exports = { isShuttingDown, markShuttingDown };
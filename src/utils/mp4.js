@@ -0,0 +1,145 @@
+/**
+ * Minimal MP4 (ISO BMFF) reader for generated videos
+ * Reads only the boxes needed to describe the output: moov/mvhd for duration,
+ * trak/tkhd for dimensions, mdia/hdlr + mdhd for track type and timing,
+ * and minf/stbl/stsd + stts for codec and frame count.
+ */
+
+/**
+ * List the boxes in buffer[start, end)
+ * @returns {Array<{ type: string, start: number, end: number }>} start/end bound the box payload
+ */
+const readBoxes = (buffer, start = 0, end = buffer.length) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset; // Box extends to the end of its parent
+    }
+
+    if (size < header || offset + size > end) break; // Truncated or corrupt
+
+    boxes.push({ type, start: offset + header, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+const findBox = (buffer, type, start, end) => readBoxes(buffer, start, end).find((box) => box.type === type);
+
+/**
+ * Read version-dependent timescale/duration from mvhd or mdhd
+ */
+const readTiming = (buffer, box) => {
+  const version = buffer.readUInt8(box.start);
+  return version === 1
+    ? { timescale: buffer.readUInt32BE(box.start + 20), duration: Number(buffer.readBigUInt64BE(box.start + 24)) }
+    : { timescale: buffer.readUInt32BE(box.start + 12), duration: buffer.readUInt32BE(box.start + 16) };
+};
+
+const readTrack = (buffer, trak) => {
+  const mdia = findBox(buffer, 'mdia', trak.start, trak.end);
+  if (!mdia) return null;
+
+  const hdlr = findBox(buffer, 'hdlr', mdia.start, mdia.end);
+  const mdhd = findBox(buffer, 'mdhd', mdia.start, mdia.end);
+  const minf = findBox(buffer, 'minf', mdia.start, mdia.end);
+  const stbl = minf && findBox(buffer, 'stbl', minf.start, minf.end);
+  if (!hdlr || !mdhd || !stbl) return null;
+
+  const track = {
+    handler: buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12),
+    ...readTiming(buffer, mdhd),
+  };
+
+  // First sample description: [size][format][6 reserved][data ref index] then format-specific fields
+  const stsd = findBox(buffer, 'stsd', stbl.start, stbl.end);
+  if (stsd && buffer.readUInt32BE(stsd.start + 4) > 0) {
+    const entry = stsd.start + 8;
+    track.codec = buffer.toString('latin1', entry + 4, entry + 8);
+    if (track.handler === 'vide') {
+      track.width = buffer.readUInt16BE(entry + 32);
+      track.height = buffer.readUInt16BE(entry + 34);
+    }
+  }
+
+  // Display size from tkhd (16.16 fixed point) overrides the coded size
+  const tkhd = findBox(buffer, 'tkhd', trak.start, trak.end);
+  if (tkhd && track.handler === 'vide') {
+    const sizeOffset = tkhd.start + (buffer.readUInt8(tkhd.start) === 1 ? 88 : 76);
+    const width = buffer.readUInt32BE(sizeOffset) / 65536;
+    const height = buffer.readUInt32BE(sizeOffset + 4) / 65536;
+    if (width && height) {
+      track.width = Math.round(width);
+      track.height = Math.round(height);
+    }
+  }
+
+  // Sample count from the time-to-sample table: entries of [count][delta]
+  const stts = findBox(buffer, 'stts', stbl.start, stbl.end);
+  if (stts) {
+    const entries = buffer.readUInt32BE(stts.start + 4);
+    track.sampleCount = 0;
+    for (let i = 0; i < entries; i++) {
+      track.sampleCount += buffer.readUInt32BE(stts.start + 8 + i * 8);
+    }
+  }
+
+  return track;
+};
+
+/**
+ * Describe an MP4 file
+ * @param {Buffer} buffer - Whole file contents
+ * @returns {{ durationSeconds: number, width: number|null, height: number|null, frameRate: number|null,
+ *   videoCodec: string|null, audioCodec: string|null, hasAudio: boolean, byteSize: number }|null}
+ *   Null if the buffer is not a readable MP4
+ */
+const parseMp4 = (buffer) => {
+  try {
+    const moov = findBox(buffer, 'moov');
+    const mvhd = moov && findBox(buffer, 'mvhd', moov.start, moov.end);
+    if (!mvhd) return null;
+
+    const movie = readTiming(buffer, mvhd);
+    const tracks = readBoxes(buffer, moov.start, moov.end)
+      .filter((box) => box.type === 'trak')
+      .map((trak) => readTrack(buffer, trak))
+      .filter(Boolean);
+
+    const video = tracks.find((track) => track.handler === 'vide');
+    const audio = tracks.find((track) => track.handler === 'soun');
+
+    const videoSeconds = video && video.timescale ? video.duration / video.timescale : 0;
+    const frameRate = video && video.sampleCount && videoSeconds
+      ? Math.round((video.sampleCount / videoSeconds) * 100) / 100
+      : null;
+
+    return {
+      durationSeconds: movie.timescale ? Math.round((movie.duration / movie.timescale) * 1000) / 1000 : 0,
+      width: (video && video.width) || null,
+      height: (video && video.height) || null,
+      frameRate,
+      videoCodec: (video && video.codec) || null,
+      audioCodec: (audio && audio.codec) || null,
+      hasAudio: Boolean(audio),
+      byteSize: buffer.length,
+    };
+  } catch (error) {
+    // Reads past the end of a truncated box. Checked by name: Buffer's errors may come
+    // from another realm (e.g. under a test runner's VM context) and fail instanceof
+    if (error.name === 'RangeError') return null;
+    throw error;
+  }
+};
+
+module.exports = { parseMp4 };
@@ -0,0 +1,65 @@
+const { pipeline } = require('stream');
+
+/**
+ * Send a stored object with conditional and range request support
+ * Handles ETag / If-None-Match, single byte ranges (Range / If-Range) and HEAD.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Object} object
+ * @param {Object} object.stat - Result of storageDriver.stat()
+ * @param {string} object.fileName - File name for Content-Disposition
+ * @param {boolean} [object.download] - Serve as an attachment
+ * @param {string} [object.cacheControl] - Cache-Control header value
+ * @param {Function} object.createReadStream - ({ start, end }) => Readable
+ * @param {Function} [object.onStreamError] - Called if streaming fails after headers are sent
+ */
+const sendStoredObject = (req, res, object) => {
+  const { stat, fileName, download, cacheControl = 'private, max-age=3600' } = object;
+  const size = stat.size;
+  const etag = `"${stat.etag}"`;
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': cacheControl,
+    'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${fileName}"`,
+    'Content-Type': stat.contentType || 'video/mp4',
+    ETag: etag,
+    'Last-Modified': new Date(stat.updated).toUTCString(),
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // Honor a single range; If-Range with a stale validator falls back to the whole file
+  const ifRange = req.get('If-Range');
+  const ranges = req.get('Range') && (!ifRange || ifRange === etag)
+    ? req.range(size, { combine: true })
+    : null;
+
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  let start = 0;
+  let end = size - 1;
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    ({ start, end } = ranges[0]);
+    res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+
+  res.set('Content-Length', String(end - start + 1));
+
+  if (req.method === 'HEAD' || size === 0) {
+    return res.end();
+  }
+
+  pipeline(object.createReadStream({ start, end }), res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE' && object.onStreamError) {
+      object.onStreamError(error);
+    }
+  });
+};
+
+module.exports = { sendStoredObject };
@@ -0,0 +1,168 @@
+/**
+ * Versioned templates that compile generation requests into the model prompt
+ *
+ * A template is a list of segments. Each segment lists alternatives; the first one whose
+ * {{placeholders}} all have values is used, and a segment with none is dropped. Segments
+ * are concatenated as-is. Published versions must never change: jobs record the template
+ * they were compiled with, so add a new version instead of editing one.
+ */
+
+// Allowed values for the style fields appended by the legacy template (also accepted with a scene)
+const STYLE_OPTIONS = {
+  cameraStyle: ['cinematic', 'handheld', 'documentary'],
+  motionLevel: ['low', 'medium', 'high'],
+  lighting: ['natural', 'dramatic', 'soft'],
+};
+
+// Allowed values for the enumerated scene parts
+const SCENE_OPTIONS = {
+  shotType: ['extreme-close-up', 'close-up', 'medium', 'medium-wide', 'wide', 'extreme-wide',
+    'over-the-shoulder', 'point-of-view', 'aerial'],
+  lens: ['ultra-wide', 'wide-angle', 'standard', 'telephoto', 'macro', 'fisheye', 'anamorphic'],
+  cameraMovement: ['static', 'pan', 'tilt', 'dolly-in', 'dolly-out', 'tracking', 'crane', 'orbit',
+    'handheld', 'zoom-in', 'zoom-out'],
+  timeOfDay: ['dawn', 'morning', 'midday', 'afternoon', 'golden-hour', 'dusk', 'blue-hour', 'night'],
+  colorGrade: ['natural', 'warm', 'cool', 'teal-and-orange', 'black-and-white', 'sepia', 'high-contrast',
+    'pastel', 'neon', 'desaturated'],
+};
+
+const SCENE_LIMITS = {
+  textLength: 300, // subject, action, setting
+  dialogueLines: 6,
+  dialogueLength: 200,
+  speakerLength: 60,
+  soundEffects: 6,
+  soundEffectLength: 100,
+  ambientAudioLength: 200,
+};
+
+// Scene parts that only make sense for models that generate audio
+const SCENE_AUDIO_PARTS = ['dialogue', 'soundEffects', 'ambientAudio'];
+
+const SCENE_PARTS = ['subject', 'action', 'setting', 'shotType', 'lens', 'cameraMovement', 'timeOfDay',
+  'colorGrade', ...SCENE_AUDIO_PARTS, 'templateVersion'];
+
+// "dolly-in" -> "dolly in"
+const words = (value) => value.replace(/-/g, ' ');
+
+// Free text ends where the template adds its own punctuation
+const trimSentence = (value) => value && value.trim().replace(/[\s.]+$/, '');
+
+const SHOT_TYPE_PHRASES_V1 = {
+  'extreme-close-up': 'Extreme close-up',
+  'close-up': 'Close-up',
+  medium: 'Medium shot',
+  'medium-wide': 'Medium wide shot',
+  wide: 'Wide shot',
+  'extreme-wide': 'Extreme wide shot',
+  'over-the-shoulder': 'Over-the-shoulder shot',
+  'point-of-view': 'Point-of-view shot',
+  aerial: 'Aerial shot',
+};
+
+const TEMPLATES = {
+  // The original "prompt. Camera style: X. Motion: Y. Lighting: Z" suffixes
+  legacy: {
+    1: {
+      segments: [
+        ['{{prompt}}'],
+        ['. Camera style: {{cameraStyle}}'],
+        ['. Motion: {{motionLevel}}'],
+        ['. Lighting: {{lighting}}'],
+      ],
+      values: (params) => params,
+    },
+  },
+
+  scene: {
+    1: {
+      segments: [
+        ['{{shotType}} of {{subject}}', '{{subject}}'],
+        [' {{action}}'],
+        ['. Setting: {{setting}}'],
+        ['. Time of day: {{timeOfDay}}'],
+        ['. {{prompt}}'],
+        ['. Lens: {{lens}}'],
+        ['. Camera movement: {{cameraMovement}}'],
+        ['. Camera style: {{cameraStyle}}'],
+        ['. Motion: {{motionLevel}}'],
+        ['. Lighting: {{lighting}}'],
+        ['. Color grade: {{colorGrade}}'],
+        ['. Dialogue: {{dialogue}}'],
+        ['. Sound effects: {{soundEffects}}'],
+        ['. Ambient audio: {{ambientAudio}}'],
+        ['.'],
+      ],
+      values: ({ scene, ...params }) => ({
+        ...params,
+        prompt: trimSentence(params.prompt),
+        subject: trimSentence(scene.subject),
+        action: trimSentence(scene.action),
+        setting: trimSentence(scene.setting),
+        shotType: scene.shotType && SHOT_TYPE_PHRASES_V1[scene.shotType],
+        lens: scene.lens && words(scene.lens),
+        cameraMovement: scene.cameraMovement && words(scene.cameraMovement),
+        timeOfDay: scene.timeOfDay && words(scene.timeOfDay),
+        colorGrade: scene.colorGrade && words(scene.colorGrade),
+        // Veo follows quoted speech best; double quotes inside a line would end it early
+        dialogue: scene.dialogue && scene.dialogue.length > 0 && scene.dialogue
+          .map(({ speaker, line }) => {
+            const quoted = `"${line.trim().replace(/"/g, '\'')}"`;
+            return speaker ? `${speaker.trim()} says: ${quoted}` : quoted;
+          })
+          .join(' '),
+        soundEffects: scene.soundEffects && scene.soundEffects.length > 0 &&
+          scene.soundEffects.map(trimSentence).join(', '),
+        ambientAudio: trimSentence(scene.ambientAudio),
+      }),
+    },
+  },
+};
+
+const SCENE_TEMPLATE_VERSIONS = Object.keys(TEMPLATES.scene).map(Number);
+const LATEST_SCENE_TEMPLATE_VERSION = Math.max(...SCENE_TEMPLATE_VERSIONS);
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+/**
+ * Fill the first alternative of each segment whose placeholders all have values
+ */
+const render = (segments, values) => segments
+  .map((alternatives) => alternatives.find((alternative) =>
+    [...alternative.matchAll(PLACEHOLDER)].every(([, name]) => values[name])))
+  .filter((alternative) => alternative !== undefined)
+  .map((alternative) => alternative.replace(PLACEHOLDER, (match, name) => values[name]))
+  .join('');
+
+/**
+ * Compile a generation request into the prompt sent to the model
+ * Requests with a `scene` use the scene template (scene.templateVersion, default latest);
+ * others keep the legacy style suffixes.
+ * @param {Object} params - Generation parameters
+ * @returns {{ prompt: string, template: string }} template is "<name>@<version>", e.g. "scene@1"
+ */
+const compilePrompt = (params) => {
+  const name = params.scene ? 'scene' : 'legacy';
+  const version = params.scene ? (params.scene.templateVersion || LATEST_SCENE_TEMPLATE_VERSION) : 1;
+  const template = TEMPLATES[name][version];
+
+  if (!template) {
+    throw new Error(`Unknown ${name} prompt template version ${version}`);
+  }
+
+  return {
+    prompt: render(template.segments, template.values(params)),
+    template: `${name}@${version}`,
+  };
+};
+
+module.exports = {
+  STYLE_OPTIONS,
+  SCENE_OPTIONS,
+  SCENE_LIMITS,
+  SCENE_PARTS,
+  SCENE_AUDIO_PARTS,
+  SCENE_TEMPLATE_VERSIONS,
+  LATEST_SCENE_TEMPLATE_VERSION,
+  compilePrompt,
+};
@@ -0,0 +1,127 @@
+/**
+ * Parse Responsible AI (RAI) filtering in Veo responses
+ *
+ * Veo drops filtered videos from the operation response and reports them as
+ * `raiMediaFilteredCount` plus `raiMediaFilteredReasons`, free-text messages that end with
+ * "Support codes: <code>, ...". Support codes map to documented safety categories;
+ * messages without a known code are matched on keywords.
+ */
+
+const CATEGORIES = {
+  CHILD_SAFETY: 'Child safety',
+  CELEBRITY: 'Real people or celebrities',
+  PERSONAL_INFORMATION: 'Personal information',
+  SEXUAL: 'Sexual content',
+  VIOLENCE: 'Violence',
+  HATE: 'Hate speech',
+  TOXIC: 'Toxic content',
+  DANGEROUS_CONTENT: 'Dangerous content',
+  VULGAR: 'Vulgar or profane content',
+  PROHIBITED_CONTENT: 'Prohibited content',
+  VIDEO_SAFETY: 'Unsafe video output',
+  OTHER: 'Other safety policy',
+};
+
+// Vertex AI Veo support codes by category
+const SUPPORT_CODE_CATEGORIES = {
+  58061214: 'CHILD_SAFETY',
+  17301594: 'CHILD_SAFETY',
+  39322892: 'CHILD_SAFETY',
+  29310472: 'CELEBRITY',
+  15236754: 'CELEBRITY',
+  92201652: 'PERSONAL_INFORMATION',
+  90789179: 'SEXUAL',
+  43188360: 'SEXUAL',
+  63429089: 'SEXUAL',
+  78610348: 'TOXIC',
+  61493863: 'VIOLENCE',
+  56562880: 'VIOLENCE',
+  57734940: 'HATE',
+  22137204: 'HATE',
+  62263041: 'DANGEROUS_CONTENT',
+  32635315: 'VULGAR',
+  89371032: 'PROHIBITED_CONTENT',
+  49114662: 'PROHIBITED_CONTENT',
+  72817394: 'PROHIBITED_CONTENT',
+  64151117: 'VIDEO_SAFETY',
+  42237218: 'VIDEO_SAFETY',
+  74803281: 'OTHER',
+  29578790: 'OTHER',
+  42876398: 'OTHER',
+};
+
+const KEYWORD_CATEGORIES = [
+  [/\bchild|minor/i, 'CHILD_SAFETY'],
+  [/celebrit|public figure|real (person|people)/i, 'CELEBRITY'],
+  [/personal(ly identifiable)? information|\bpii\b/i, 'PERSONAL_INFORMATION'],
+  [/sexual/i, 'SEXUAL'],
+  [/violen/i, 'VIOLENCE'],
+  [/\bhate/i, 'HATE'],
+  [/toxic/i, 'TOXIC'],
+  [/dangerous/i, 'DANGEROUS_CONTENT'],
+  [/vulgar|profan/i, 'VULGAR'],
+  [/prohibited/i, 'PROHIBITED_CONTENT'],
+];
+
+/**
+ * Get the support codes and categories named by one filter reason
+ * @param {string} reason - Message from raiMediaFilteredReasons or a Vertex error
+ * @returns {{ supportCodes: string[], categories: string[] }}
+ */
+const categorizeReason = (reason) => {
+  const text = String(reason || '');
+  const codesMatch = text.match(/support codes?:\s*([\d,\s]+)/i);
+  const supportCodes = codesMatch ? codesMatch[1].split(/[,\s]+/).filter(Boolean) : [];
+
+  let categories = supportCodes.map((code) => SUPPORT_CODE_CATEGORIES[code]).filter(Boolean);
+  if (categories.length === 0) {
+    categories = KEYWORD_CATEGORIES.filter(([pattern]) => pattern.test(text)).map(([, category]) => category);
+  }
+
+  return {
+    supportCodes,
+    categories: categories.length > 0 ? [...new Set(categories)] : ['OTHER'],
+  };
+};
+
+/**
+ * Summarize filter reasons
+ * @param {string[]} reasons - Filter messages
+ * @param {number} filteredCount - Number of videos removed
+ * @returns {{ filteredCount: number, categories: string[], supportCodes: string[], reasons: string[] }}
+ */
+const summarizeReasons = (reasons, filteredCount) => {
+  const parsed = reasons.map(categorizeReason);
+  return {
+    filteredCount,
+    categories: [...new Set(parsed.flatMap((entry) => entry.categories))],
+    supportCodes: [...new Set(parsed.flatMap((entry) => entry.supportCodes))],
+    reasons,
+  };
+};
+
+/**
+ * Read RAI filtering from an operation response
+ * @param {Object} response - Completed operation response
+ * @returns {Object|null} Summary (see summarizeReasons), null if nothing was filtered
+ */
+const parseRaiFiltering = (response) => {
+  const filteredCount = Number(response && response.raiMediaFilteredCount) || 0;
+  const reasons = (response && response.raiMediaFilteredReasons) || [];
+  if (filteredCount === 0 && reasons.length === 0) return null;
+
+  return summarizeReasons(reasons, filteredCount || reasons.length);
+};
+
+/**
+ * Human-readable labels for categories, e.g. for error messages
+ */
+const describeCategories = (categories) => categories.map((category) => CATEGORIES[category] || category);
+
+module.exports = {
+  CATEGORIES,
+  categorizeReason,
+  summarizeReasons,
+  parseRaiFiltering,
+  describeCategories,
+};
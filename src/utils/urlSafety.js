@@ -0,0 +1,95 @@
+const net = require('net');
+
+// Loopback, private, link-local (incl. cloud metadata 169.254.169.254), CGNAT and unspecified ranges
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is internal and must not be called
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return privateRanges.check(mapped[1], 'ipv4');
+  }
+
+  const family = net.isIP(address);
+  if (family === 4) return privateRanges.check(address, 'ipv4');
+  if (family === 6) return privateRanges.check(address, 'ipv6');
+  return true; // Not an IP address - treat as unsafe
+};
+
+/**
+ * Match a hostname against an allowlist
+ * Entries are exact hostnames or wildcards like "*.example.com" (subdomains only).
+ * @param {string} hostname - Hostname to check
+ * @param {string[]} allowlist - Allowed host patterns
+ * @returns {boolean}
+ */
+const isHostAllowed = (hostname, allowlist) => {
+  const host = hostname.toLowerCase();
+  return allowlist.some((entry) => {
+    const pattern = entry.toLowerCase();
+    if (pattern.startsWith('*.')) {
+      return host.endsWith(pattern.slice(1));
+    }
+    return host === pattern;
+  });
+};
+
+/**
+ * Validate a callback URL against the allowlist
+ * Only https URLs on allowlisted hosts are accepted; IP literals must not be internal.
+ * @param {string} value - URL to check
+ * @param {string[]} allowlist - Allowed host patterns
+ * @returns {string|null} Reason the URL is rejected, or null if allowed
+ */
+const checkCallbackUrl = (value, allowlist) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'Callback URL is not a valid URL';
+  }
+
+  if (url.protocol !== 'https:') {
+    return 'Callback URL must use https';
+  }
+  if (url.username || url.password) {
+    return 'Callback URL must not contain credentials';
+  }
+
+  // URL keeps brackets around IPv6 hosts
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return 'Callback URL must not point to an internal address';
+  }
+  if (!isHostAllowed(hostname, allowlist)) {
+    return 'Callback URL host is not allowed';
+  }
+
+  return null;
+};
+
+module.exports = {
+  isPrivateAddress,
+  isHostAllowed,
+  checkCallbackUrl,
+};
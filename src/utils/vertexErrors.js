@@ -0,0 +1,121 @@
+/**
+ * Classify Vertex AI / Veo failures into stable job error codes
+ *
+ * Errors reach us in several shapes: gRPC-style `{ code: <number> }` from operation
+ * results, gaxios REST errors with an HTTP status and `error.status` string, and our
+ * own VeoApiError wrappers (which keep the cause in `originalError`).
+ */
+
+const { summarizeReasons } = require('./raiFilter');
+
+// gRPC status codes (google.rpc.Code)
+const GRPC_CODES = {
+  1: 'CANCELLED',
+  2: 'UNKNOWN',
+  3: 'INVALID_ARGUMENT',
+  4: 'DEADLINE_EXCEEDED',
+  5: 'NOT_FOUND',
+  7: 'PERMISSION_DENIED',
+  8: 'RESOURCE_EXHAUSTED',
+  9: 'FAILED_PRECONDITION',
+  10: 'ABORTED',
+  13: 'INTERNAL',
+  14: 'UNAVAILABLE',
+  16: 'UNAUTHENTICATED',
+};
+
+const HTTP_STATUS_CODES = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  408: 'DEADLINE_EXCEEDED',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  502: 'UNAVAILABLE',
+  503: 'UNAVAILABLE',
+  504: 'DEADLINE_EXCEEDED',
+};
+
+// Job error codes worth retrying automatically
+const RETRYABLE_CODES = ['RESOURCE_EXHAUSTED', 'UNAVAILABLE', 'DEADLINE_EXCEEDED', 'INTERNAL', 'ABORTED'];
+
+// Messages Vertex uses when Responsible AI filters block a prompt or output
+const SAFETY_PATTERN = /usage guidelines|responsible ai|safety (filter|settings)|raiMediaFiltered/i;
+
+// Transport errors from Node / gaxios that mean the request never completed
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+/**
+ * Walk the error and its wrapped causes, outermost first
+ */
+const causes = (error) => {
+  const chain = [];
+  let current = error;
+  while (current && !chain.includes(current)) {
+    chain.push(current);
+    current = current.originalError || current.cause;
+  }
+  return chain;
+};
+
+const codeFromError = (error) => {
+  if (error.jobErrorCode) return error.jobErrorCode;
+
+  if (typeof error.code === 'number' && GRPC_CODES[error.code]) {
+    return GRPC_CODES[error.code];
+  }
+  if (typeof error.code === 'string' && NETWORK_ERROR_CODES.includes(error.code)) {
+    return 'UNAVAILABLE';
+  }
+
+  // gaxios REST error: { response: { status, data: { error: { status } } } }
+  const response = error.response;
+  if (response) {
+    const apiStatus = response.data && response.data.error && response.data.error.status;
+    if (apiStatus && Object.values(GRPC_CODES).includes(apiStatus)) {
+      return apiStatus;
+    }
+    if (HTTP_STATUS_CODES[response.status]) {
+      return HTTP_STATUS_CODES[response.status];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Classify an error from a generation attempt
+ * @param {Error|Object} error - Thrown error or operation error
+ * @returns {{ code: string, message: string, retryable: boolean, safety?: Object }}
+ *   `safety` summarizes Responsible AI filtering for SAFETY_BLOCKED
+ */
+const classifyVertexError = (error) => {
+  const chain = causes(error);
+  const message = error.message || 'Video generation failed';
+
+  // Filtered output parsed from the operation response (SafetyBlockedError)
+  const blocked = chain.find((cause) => cause.safety);
+  if (blocked) {
+    return { code: 'SAFETY_BLOCKED', message, retryable: false, safety: blocked.safety };
+  }
+
+  // Prompt or input image rejected by Vertex before generating
+  const rejected = chain.find((cause) => SAFETY_PATTERN.test(cause.message || ''));
+  if (rejected) {
+    return { code: 'SAFETY_BLOCKED', message, retryable: false, safety: summarizeReasons([rejected.message], 0) };
+  }
+
+  const code = chain.map(codeFromError).find(Boolean) || 'UNKNOWN';
+
+  return {
+    code,
+    message,
+    retryable: RETRYABLE_CODES.includes(code),
+  };
+};
+
+module.exports = {
+  classifyVertexError,
+  RETRYABLE_CODES,
+};
@@ -0,0 +1,113 @@
+const { body, param } = require('express-validator');
+const { validate } = require('./videoValidators');
+const { modelRegistry } = require('../services/modelRegistry');
+const { PRESET_FIELDS } = require('../services/presetService');
+const { STYLE_OPTIONS, SCENE_OPTIONS } = require('../utils/promptTemplates');
+
+// Presets are not tied to a model: accept anything some model supports,
+// generation requests are then checked against the model they ask for
+const unionOf = (field) => [...new Set(modelRegistry.list().flatMap((model) => model[field]))].sort((a, b) => a - b);
+const DURATIONS = unionOf('durations');
+const ASPECT_RATIOS = unionOf('aspectRatios');
+const FPS = unionOf('fps');
+
+const styleValidation = (field, label) => body(`params.${field}`)
+  .optional()
+  .isIn(STYLE_OPTIONS[field])
+  .withMessage(`${label} must be one of: ${STYLE_OPTIONS[field].join(', ')}`);
+
+const sceneOptionValidation = (field, label) => body(`params.scene.${field}`)
+  .optional()
+  .isIn(SCENE_OPTIONS[field])
+  .withMessage(`Scene ${label} must be one of: ${SCENE_OPTIONS[field].join(', ')}`);
+
+// Create/replace preset validations
+const presetValidations = validate([
+  body('name')
+    .isString()
+    .withMessage('Name is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name must be 1 to 60 characters'),
+
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must be a string of at most 200 characters'),
+
+  body('params')
+    .isObject()
+    .withMessage('Params must be an object')
+    .bail()
+    .custom((params) => Object.keys(params).length > 0 && Object.keys(params).every((field) => PRESET_FIELDS.includes(field)))
+    .withMessage(`Params must set one or more of these fields and nothing else: ${PRESET_FIELDS.join(', ')}`),
+
+  body('params.aspectRatio')
+    .optional()
+    .isIn(ASPECT_RATIOS)
+    .withMessage(`Aspect ratio must be one of: ${ASPECT_RATIOS.join(', ')}`),
+
+  body('params.durationSeconds')
+    .optional()
+    .isIn(DURATIONS)
+    .withMessage(`Duration must be one of: ${DURATIONS.join(', ')}`)
+    .toInt(),
+
+  body('params.fps')
+    .optional()
+    .isIn(FPS)
+    .withMessage(`FPS must be one of: ${FPS.join(', ')}`)
+    .toInt(),
+
+  styleValidation('cameraStyle', 'Camera style'),
+  styleValidation('motionLevel', 'Motion level'),
+  styleValidation('lighting', 'Lighting'),
+
+  body('params.quality')
+    .optional()
+    .isIn(['standard', 'high'])
+    .withMessage('Quality must be: standard or high'),
+
+  body('params.negativePrompt')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Negative prompt must be a string of at most 500 characters'),
+
+  body('params.generateAudio')
+    .optional()
+    .isBoolean()
+    .withMessage('generateAudio must be a boolean')
+    .toBoolean(),
+
+  // Only the style parts of a scene; the subject and audio come from each request
+  body('params.scene')
+    .optional()
+    .isObject()
+    .withMessage('Scene must be an object')
+    .bail()
+    .custom((scene) => Object.keys(scene).every((part) => SCENE_OPTIONS[part]))
+    .withMessage(`Preset scenes may only contain: ${Object.keys(SCENE_OPTIONS).join(', ')}`),
+
+  sceneOptionValidation('shotType', 'shot type'),
+  sceneOptionValidation('lens', 'lens'),
+  sceneOptionValidation('cameraMovement', 'camera movement'),
+  sceneOptionValidation('timeOfDay', 'time of day'),
+  sceneOptionValidation('colorGrade', 'color grade'),
+]);
+
+// Preset ID validation: a built-in slug or a user preset UUID
+const presetIdValidation = validate([
+  param('presetId')
+    .matches(/^[\w-]{1,64}$/)
+    .withMessage('Invalid preset ID format'),
+]);
+
+module.exports = {
+  presetValidations,
+  presetIdValidation,
+};
@@ -1,6 +1,18 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { config } = require('../config');
 const { ValidationError } = require('../utils/errors');
+const { JOB_STATUSES } = require('../utils/jobStatus');
+const { checkCallbackUrl } = require('../utils/urlSafety');
+const { modelRegistry } = require('../services/modelRegistry');
+const {
+  STYLE_OPTIONS,
+  SCENE_OPTIONS,
+  SCENE_LIMITS,
+  SCENE_PARTS,
+  SCENE_AUDIO_PARTS,
+  SCENE_TEMPLATE_VERSIONS,
+  compilePrompt,
+} = require('../utils/promptTemplates');
 
 // Validation middleware wrapper
 const validate = (validations) => {
@@ -25,52 +37,169 @@ const validate = (validations) => {
   };
 };
 
-// Common video parameter validations
-const commonVideoValidations = [
+const modelValidation = body('model')
+  .optional()
+  .isIn(modelRegistry.ids())
+  .withMessage(`Model must be one of: ${modelRegistry.ids().join(', ')}`);
+
+const sceneTextValidation = (field, label, maxLength) => body(`scene.${field}`)
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: maxLength })
+  .withMessage(`Scene ${label} must be a string of at most ${maxLength} characters`);
+
+const sceneOptionValidation = (field, label) => body(`scene.${field}`)
+  .optional()
+  .isIn(SCENE_OPTIONS[field])
+  .withMessage(`Scene ${label} must be one of: ${SCENE_OPTIONS[field].join(', ')}`);
+
+// Structured scene, compiled into the prompt by utils/promptTemplates
+const buildSceneValidations = (model) => [
+  body('scene')
+    .optional()
+    .isObject()
+    .withMessage('Scene must be an object')
+    .bail()
+    .custom((scene) => Object.keys(scene).every((part) => SCENE_PARTS.includes(part)))
+    .withMessage(`Scene may only contain: ${SCENE_PARTS.join(', ')}`)
+    .custom((scene) => model.audio || SCENE_AUDIO_PARTS.every((part) => scene[part] === undefined))
+    .withMessage(`Model ${model.id} does not generate audio, so scene ${SCENE_AUDIO_PARTS.join(', ')} are not supported`),
+
+  body('scene.subject')
+    .if(body('scene').isObject())
+    .isString()
+    .withMessage('Scene subject is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Scene subject is required')
+    .isLength({ max: SCENE_LIMITS.textLength })
+    .withMessage(`Scene subject must not exceed ${SCENE_LIMITS.textLength} characters`),
+
+  sceneTextValidation('action', 'action', SCENE_LIMITS.textLength),
+  sceneTextValidation('setting', 'setting', SCENE_LIMITS.textLength),
+  sceneOptionValidation('shotType', 'shot type'),
+  sceneOptionValidation('lens', 'lens'),
+  sceneOptionValidation('cameraMovement', 'camera movement'),
+  sceneOptionValidation('timeOfDay', 'time of day'),
+  sceneOptionValidation('colorGrade', 'color grade'),
+
+  body('scene.dialogue')
+    .optional()
+    .isArray({ max: SCENE_LIMITS.dialogueLines })
+    .withMessage(`Scene dialogue must be an array of at most ${SCENE_LIMITS.dialogueLines} lines`),
+
+  body('scene.dialogue.*.line')
+    .isString()
+    .withMessage('Each dialogue entry needs a line')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Each dialogue entry needs a line')
+    .isLength({ max: SCENE_LIMITS.dialogueLength })
+    .withMessage(`Dialogue lines must not exceed ${SCENE_LIMITS.dialogueLength} characters`),
+
+  body('scene.dialogue.*.speaker')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: SCENE_LIMITS.speakerLength })
+    .withMessage(`Dialogue speakers must be a string of at most ${SCENE_LIMITS.speakerLength} characters`),
+
+  body('scene.soundEffects')
+    .optional()
+    .isArray({ max: SCENE_LIMITS.soundEffects })
+    .withMessage(`Scene soundEffects must be an array of at most ${SCENE_LIMITS.soundEffects} entries`),
+
+  body('scene.soundEffects.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: SCENE_LIMITS.soundEffectLength })
+    .withMessage(`Sound effects must be non-empty strings of at most ${SCENE_LIMITS.soundEffectLength} characters`),
+
+  sceneTextValidation('ambientAudio', 'ambientAudio', SCENE_LIMITS.ambientAudioLength),
+
+  body('scene.templateVersion')
+    .optional()
+    .isIn(SCENE_TEMPLATE_VERSIONS)
+    .withMessage(`Scene templateVersion must be one of: ${SCENE_TEMPLATE_VERSIONS.join(', ')}`)
+    .toInt(),
+
+  // The compiled prompt is what the model sees, so it is held to the prompt limit
+  body('scene')
+    .if(body('scene').isObject())
+    .custom((scene, { req }) => {
+      let compiled;
+      try {
+        compiled = compilePrompt(req.body).prompt;
+      } catch (error) {
+        return true; // Malformed parts are reported by their own checks
+      }
+      if (compiled.length > config.veo.limits.maxPromptLength) {
+        throw new Error(`Compiled scene prompt must not exceed ${config.veo.limits.maxPromptLength} characters (got ${compiled.length})`);
+      }
+      return true;
+    }),
+];
+
+// Common video parameter validations, with limits taken from the model's registry entry
+const buildCommonVideoValidations = (model) => [
+  modelValidation,
+
+  // With a scene the prompt is optional and adds free-text detail
   body('prompt')
+    .if((value, { req }) => value !== undefined || !req.body.scene)
     .isString()
+    .withMessage('Prompt is required unless a scene is given')
+    .bail()
     .trim()
     .notEmpty()
-    .withMessage('Prompt is required')
+    .withMessage('Prompt is required unless a scene is given')
     .isLength({ max: config.veo.limits.maxPromptLength })
     .withMessage(`Prompt must not exceed ${config.veo.limits.maxPromptLength} characters`),
 
+  ...buildSceneValidations(model),
+
+  // Durations in range are rounded to the closest supported one
   body('durationSeconds')
     .optional()
-    .isInt({ min: config.veo.limits.minDurationSeconds, max: config.veo.limits.maxDurationSeconds })
-    .withMessage(`Duration must be between ${config.veo.limits.minDurationSeconds} and ${config.veo.limits.maxDurationSeconds} seconds`)
+    .isInt({ min: Math.min(...model.durations), max: Math.max(...model.durations) })
+    .withMessage(`Duration must be between ${Math.min(...model.durations)} and ${Math.max(...model.durations)} seconds for model ${model.id}`)
     .toInt(),
 
   body('aspectRatio')
     .optional()
-    .isIn(config.veo.limits.allowedAspectRatios)
-    .withMessage(`Aspect ratio must be one of: ${config.veo.limits.allowedAspectRatios.join(', ')}`),
+    .isIn(model.aspectRatios)
+    .withMessage(`Aspect ratio must be one of: ${model.aspectRatios.join(', ')} for model ${model.id}`),
 
   body('fps')
     .optional()
-    .isIn(config.veo.limits.allowedFps)
-    .withMessage(`FPS must be one of: ${config.veo.limits.allowedFps.join(', ')}`)
+    .isIn(model.fps)
+    .withMessage(`FPS must be one of: ${model.fps.join(', ')} for model ${model.id}`)
     .toInt(),
 
   body('cameraStyle')
     .optional()
-    .isIn(['cinematic', 'handheld', 'documentary'])
+    .isIn(STYLE_OPTIONS.cameraStyle)
     .withMessage('Camera style must be: cinematic, handheld, or documentary'),
 
   body('motionLevel')
     .optional()
-    .isIn(['low', 'medium', 'high'])
+    .isIn(STYLE_OPTIONS.motionLevel)
     .withMessage('Motion level must be: low, medium, or high'),
 
   body('lighting')
     .optional()
-    .isIn(['natural', 'dramatic', 'soft'])
+    .isIn(STYLE_OPTIONS.lighting)
     .withMessage('Lighting must be: natural, dramatic, or soft'),
 
   body('quality')
     .optional()
     .isIn(['standard', 'high'])
-    .withMessage('Quality must be: standard or high'),
+    .withMessage('Quality must be: standard or high')
+    .custom((value) => value !== 'high' || model.resolutions.includes('1080p'))
+    .withMessage(`Model ${model.id} does not support quality high`),
 
   body('seed')
     .optional()
@@ -78,6 +207,12 @@ const commonVideoValidations = [
     .withMessage('Seed must be a non-negative integer')
     .toInt(),
 
+  body('sampleCount')
+    .optional()
+    .isInt({ min: 1, max: model.maxSampleCount })
+    .withMessage(`Sample count must be between 1 and ${model.maxSampleCount} for model ${model.id}`)
+    .toInt(),
+
   body('negativePrompt')
     .optional()
     .isString()
@@ -89,16 +224,44 @@ const commonVideoValidations = [
     .optional()
     .isBoolean()
     .withMessage('generateAudio must be a boolean')
-    .toBoolean(),
+    .toBoolean()
+    .custom((value) => !value || model.audio)
+    .withMessage(`Model ${model.id} does not generate audio`),
+
+  body('callbackUrl')
+    .optional()
+    .isString()
+    .isLength({ max: 2048 })
+    .withMessage('Callback URL must not exceed 2048 characters')
+    .custom((value) => {
+      const reason = checkCallbackUrl(value, config.webhooks.allowedHosts);
+      if (reason) {
+        throw new Error(reason);
+      }
+      return true;
+    }),
 ];
 
-// Text-to-video validations
-const textToVideoValidations = validate(commonVideoValidations);
+const commonValidationsByModel = new Map(
+  modelRegistry.list().map((model) => [model.id, buildCommonVideoValidations(model)])
+);
 
-// Image-to-video validations
-const imageToVideoValidations = validate([
-  ...commonVideoValidations,
+/**
+ * Get the common validations for a requested model
+ * An unknown model only gets the model check, which reports it.
+ */
+const getCommonVideoValidations = (modelId) =>
+  commonValidationsByModel.get(modelId || modelRegistry.getDefault().id) || [modelValidation];
+
+// Validate a generation request against the limits of the model it asks for
+const validateGeneration = (extraValidations = []) => (req, res, next) =>
+  validate([...getCommonVideoValidations(req.body.model), ...extraValidations])(req, res, next);
 
+// Text-to-video validations
+const textToVideoValidations = validateGeneration();
+
+// Image input validations
+const imageFieldValidations = [
   body('imageBase64')
     .isString()
     .notEmpty()
@@ -110,12 +273,13 @@ const imageToVideoValidations = validate([
     .optional()
     .isIn(['image/png', 'image/jpeg', 'image/webp'])
     .withMessage('Image MIME type must be: image/png, image/jpeg, or image/webp'),
-]);
+];
 
-// Video-to-video validations
-const videoToVideoValidations = validate([
-  ...commonVideoValidations,
+// Image-to-video validations
+const imageToVideoValidations = validateGeneration(imageFieldValidations);
 
+// Video-to-video validations
+const videoToVideoValidations = validateGeneration([
   body('videoBase64')
     .isString()
     .notEmpty()
@@ -127,6 +291,73 @@ const videoToVideoValidations = validate([
     .withMessage('Video MIME type must be: video/mp4 or video/webm'),
 ]);
 
+const BATCH_ITEM_MODES = ['TEXT_TO_VIDEO', 'IMAGE_TO_VIDEO'];
+
+// Batch validations: each item is checked with the same rules as the single-item endpoints
+const batchValidations = async (req, res, next) => {
+  const { items } = req.body;
+  const { maxItems } = config.batch;
+
+  if (!Array.isArray(items) || items.length === 0 || items.length > maxItems) {
+    return next(new ValidationError('Validation failed', [{
+      field: 'items',
+      message: `Items must be an array of 1 to ${maxItems} generation specs`,
+      value: Array.isArray(items) ? items.length : items,
+    }]));
+  }
+
+  const details = [];
+
+  for (const [index, item] of items.entries()) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      details.push({ field: `items[${index}]`, message: 'Item must be an object', value: item });
+      continue;
+    }
+
+    const mode = item.mode || 'TEXT_TO_VIDEO';
+    if (!BATCH_ITEM_MODES.includes(mode)) {
+      details.push({
+        field: `items[${index}].mode`,
+        message: `Mode must be one of: ${BATCH_ITEM_MODES.join(', ')}`,
+        value: item.mode,
+      });
+      continue;
+    }
+
+    // Run the chains against the item on its own so sanitizers (toInt, trim, ...) apply to it
+    const itemRequest = { body: item };
+    const commonValidations = getCommonVideoValidations(item.model);
+    const chains = mode === 'IMAGE_TO_VIDEO'
+      ? [...commonValidations, ...imageFieldValidations]
+      : commonValidations;
+
+    for (const chain of chains) {
+      await chain.run(itemRequest);
+    }
+
+    validationResult(itemRequest).array().forEach((err) => {
+      details.push({
+        field: `items[${index}].${err.path}`,
+        message: err.msg,
+        value: err.value,
+      });
+    });
+  }
+
+  if (details.length > 0) {
+    return next(new ValidationError('Validation failed', details));
+  }
+
+  next();
+};
+
+// Batch ID validation
+const batchIdValidation = validate([
+  param('batchId')
+    .isUUID(4)
+    .withMessage('Invalid batch ID format'),
+]);
+
 // Job ID validation
 const jobIdValidation = validate([
   param('jobId')
@@ -134,10 +365,105 @@ const jobIdValidation = validate([
     .withMessage('Invalid job ID format'),
 ]);
 
+// Job history query validation
+const listJobsValidation = validate([
+  query('status')
+    .optional()
+    .customSanitizer((value) => String(value).split(',').map((status) => status.trim()))
+    .custom((statuses) => statuses.every((status) => JOB_STATUSES.includes(status)))
+    .withMessage(`Status must be one or more of: ${JOB_STATUSES.join(', ')}`),
+
+  query('mode')
+    .optional()
+    .isIn(Object.keys(config.veo.supportedModes))
+    .withMessage(`Mode must be one of: ${Object.keys(config.veo.supportedModes).join(', ')}`),
+
+  query('createdFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('createdFrom must be an ISO 8601 date'),
+
+  query('createdTo')
+    .optional()
+    .isISO8601()
+    .withMessage('createdTo must be an ISO 8601 date'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'updatedAt'])
+    .withMessage('sortBy must be: createdAt or updatedAt'),
+
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be: asc or desc'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 512 })
+    .withMessage('Invalid cursor'),
+]);
+
+// Signed URL re-issue validations
+const videoUrlValidation = validate([
+  param('jobId')
+    .isUUID(4)
+    .withMessage('Invalid job ID format'),
+
+  query('ttl')
+    .optional()
+    .isInt({ min: 60, max: config.gcs.maxSignedUrlExpiration })
+    .withMessage(`TTL must be between 60 and ${config.gcs.maxSignedUrlExpiration} seconds`)
+    .toInt(),
+
+  query('download')
+    .optional()
+    .isBoolean()
+    .withMessage('download must be a boolean')
+    .toBoolean(),
+
+  query('sample')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sample must be a non-negative integer')
+    .toInt(),
+]);
+
+// Video content proxy validations
+const videoContentValidation = validate([
+  param('jobId')
+    .isUUID(4)
+    .withMessage('Invalid job ID format'),
+
+  query('download')
+    .optional()
+    .isBoolean()
+    .withMessage('download must be a boolean')
+    .toBoolean(),
+
+  query('sample')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sample must be a non-negative integer')
+    .toInt(),
+]);
+
 module.exports = {
   textToVideoValidations,
   imageToVideoValidations,
   videoToVideoValidations,
   jobIdValidation,
+  listJobsValidation,
+  batchValidations,
+  batchIdValidation,
+  videoUrlValidation,
+  videoContentValidation,
   validate,
 };